@@ -1,15 +1,17 @@
 /**
  * Halo Background Service Worker
- * Handles message passing and statistics tracking
+ * Handles message passing, statistics tracking, detector registration and tab capture
  */
 
+importScripts('sites.js', 'sensitivity.js', 'response-policy.js', 'risk-store.js', 'segment-list.js');
+
 // Queue to serialize stat updates and prevent race conditions
 let updateQueue = Promise.resolve();
 
 // Offscreen document state
 let offscreenDocumentCreated = false;
 
-// Create offscreen document for audio playback
+// Create offscreen document for audio playback and tab capture analysis
 async function createOffscreenDocument() {
   if (offscreenDocumentCreated) {
     return;
@@ -18,41 +20,284 @@ async function createOffscreenDocument() {
   try {
     await chrome.offscreen.createDocument({
       url: 'offscreen.html',
-      reasons: ['AUDIO_PLAYBACK'],
-      justification: 'Play background meditation music'
+      reasons: ['AUDIO_PLAYBACK', 'USER_MEDIA'],
+      justification: 'Play background meditation music and analyze captured tabs for flashing'
     });
     offscreenDocumentCreated = true;
   } catch (error) {
   }
 }
 
-// Track active tabs for each platform
-let platformTabs = {
-  youtube: new Set(),
-  tiktok: new Set(),
-  twitter: new Set(),
-  instagram: new Set(),
-  twitch: new Set()
-};
-
-// Platform URL matchers
-const platformMatchers = {
-  youtube: /youtube\.com/,
-  tiktok: /tiktok\.com/,
-  twitter: /(twitter\.com|x\.com)/,
-  instagram: /instagram\.com/,
-  twitch: /twitch\.tv/
-};
+// What was found in each video, shared by every tab
+const riskStore = new VideoRiskStore();
+
+// Detector content script, registered for the sites in the user's site list
+const DETECTOR_SCRIPT_ID = 'halo-detector';
+const DETECTOR_FILES = [
+  'scripts/sensitivity.js',
+  'scripts/response-policy.js',
+  'scripts/sites.js',
+  'scripts/frame-metrics.js',
+  'scripts/pattern-analyzer.js',
+  'scripts/frame-analyzer.js',
+  'scripts/look-ahead.js',
+  'scripts/mitigation.js',
+  'scripts/safe-render.js',
+  'scripts/segment-markers.js',
+  'scripts/platforms/platforms.js',
+  'scripts/platforms/youtube.js',
+  'scripts/platforms/tiktok.js',
+  'scripts/platforms/x.js',
+  'scripts/platforms/instagram.js',
+  'scripts/platforms/twitch.js',
+  'scripts/flash-detector.js',
+  'scripts/image-scanner.js',
+  'scripts/warning-overlay.js',
+  'scripts/detector.js'
+];
+
+// Queue to serialize registration updates (unregister + register must not interleave)
+let registrationQueue = Promise.resolve();
+
+/**
+ * Register the detector for the current site list, replacing any earlier registration
+ * Applies to pages loaded from now on; open tabs keep what they were loaded with.
+ * Only sites Halo has host access for are registered.
+ */
+function syncDetectorRegistration() {
+  registrationQueue = registrationQueue.then(async () => {
+    try {
+      const data = await chrome.storage.sync.get(['sites', 'protectAllSites']);
+      const sites = data.sites || DEFAULT_SITES;
+      // Access to every site can be withdrawn in chrome://extensions; the site list applies then
+      const protectAllSites = data.protectAllSites === true && (await getGrantedOrigins([ALL_SITES_ORIGIN])).length > 0;
+      const { matches: siteOrigins, excludeMatches } = getSiteMatches(sites, protectAllSites);
+
+      // Content scripts are only injected where Halo has host access, so sites the user
+      // hasn't granted are left out until they are (see the permissions listeners below)
+      const matches = await getGrantedOrigins(siteOrigins);
+      if (!protectAllSites) {
+        // The default sites come with their main hosts only (manifest host_permissions)
+        sites.filter(site => site.mode === 'protect').forEach(site => {
+          if (getSiteOrigins(site.domain).every(origin => matches.includes(origin))) return;
+          getInstalledOrigins(site.domain).forEach(origin => matches.push(origin));
+        });
+      }
+
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [DETECTOR_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [DETECTOR_SCRIPT_ID] });
+      }
+
+      if (matches.length === 0) {
+        return;
+      }
+
+      await chrome.scripting.registerContentScripts([{
+        id: DETECTOR_SCRIPT_ID,
+        matches,
+        excludeMatches,
+        js: DETECTOR_FILES,
+        css: ['styles/overlay.css'],
+        runAt: 'document_idle',
+        persistAcrossSessions: true
+      }]);
+    } catch (error) {
+      console.error('[Halo] Error registering detector:', error);
+    }
+  });
+  return registrationQueue;
+}
+
+// Re-register when the site list changes in the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.sites || changes.protectAllSites)) {
+    syncDetectorRegistration();
+  }
+});
+
+// Re-register when host access is granted or withdrawn (popup requests, chrome://extensions)
+chrome.permissions.onAdded.addListener(() => syncDetectorRegistration());
+chrome.permissions.onRemoved.addListener(() => syncDetectorRegistration());
+
+// ============================================
+// TAB CAPTURE
+// ============================================
+
+// One tab at a time can be analyzed from a capture of everything it shows (see offscreen.js).
+// The tab ID is kept in storage.session so it survives the worker being suspended.
+
+/**
+ * Tab currently being captured, or null
+ */
+async function getCaptureTabId() {
+  const data = await chrome.storage.session.get(['captureTabId']);
+  return data.captureTabId ?? null;
+}
+
+/**
+ * Detector settings for a captured tab, with its site's sensitivity profile applied
+ */
+async function getCaptureSettings(tabId) {
+  const [settings, tab] = await Promise.all([
+    chrome.storage.sync.get(['detectionMode', 'sensitivityProfile', 'customSensitivity', 'sites']),
+    chrome.tabs.get(tabId)
+  ]);
+  const site = tab.url ? findSite(settings.sites || DEFAULT_SITES, new URL(tab.url).hostname) : null;
+
+  return {
+    detectionMode: settings.detectionMode || 'heuristic',
+    sensitivityProfile: (site && site.sensitivityProfile) || settings.sensitivityProfile || 'standard',
+    customSensitivity: settings.customSensitivity || null
+  };
+}
+
+/**
+ * Make sure the detector is running in a tab, so capture hazards have somewhere to go
+ * Sites outside the site list don't get it from the registration
+ */
+async function ensureDetector(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'getProtectionStatus' }, { frameId: 0 });
+  } catch (error) {
+    await chrome.scripting.insertCSS({ target: { tabId }, files: ['styles/overlay.css'] });
+    await chrome.scripting.executeScript({ target: { tabId }, files: DETECTOR_FILES });
+  }
+}
+
+/**
+ * Start analyzing a tab through tab capture, replacing any capture already running
+ * Must be called while the popup's user gesture grants access to the tab
+ */
+async function startTabCapture(tabId) {
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  await stopTabCapture();
+  await ensureDetector(tabId);
+  await createOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'startCaptureAnalysis',
+    streamId,
+    tabId,
+    settings: await getCaptureSettings(tabId)
+  });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Tab capture could not start');
+  }
+
+  await chrome.storage.session.set({ captureTabId: tabId });
+  chrome.action.setBadgeText({ tabId, text: 'TAB' });
+  chrome.action.setTitle({ tabId, title: 'Halo is analyzing this tab with tab capture' });
+  chrome.tabs.sendMessage(tabId, { action: 'tabCaptureStarted' }, { frameId: 0 }).catch(() => {});
+}
+
+/**
+ * Stop the tab capture, if one is running
+ */
+async function stopTabCapture() {
+  const tabId = await getCaptureTabId();
+  if (tabId === null) return;
+
+  await chrome.storage.session.remove('captureTabId');
+  chrome.runtime.sendMessage({ action: 'stopCaptureAnalysis' }).catch(() => {});
+  clearCaptureIndicator(tabId);
+}
+
+/**
+ * Remove the capture badge and tell the tab it is no longer captured
+ */
+function clearCaptureIndicator(tabId) {
+  chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+  chrome.action.setTitle({ tabId, title: '' }).catch(() => {});
+  chrome.tabs.sendMessage(tabId, { action: 'tabCaptureStopped' }, { frameId: 0 }).catch(() => {});
+}
+
+// Send settings changes to the running capture
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !(changes.detectionMode || changes.sensitivityProfile || changes.customSensitivity || changes.sites)) {
+    return;
+  }
+
+  const tabId = await getCaptureTabId();
+  if (tabId === null) return;
+
+  try {
+    const settings = await getCaptureSettings(tabId);
+    chrome.runtime.sendMessage({ action: 'updateCaptureSettings', settings }).catch(() => {});
+  } catch (error) {
+  }
+});
+
+// A captured tab that navigates to a site outside the site list needs the detector again
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (changeInfo.status !== 'complete' || tabId !== await getCaptureTabId()) return;
+
+  try {
+    await ensureDetector(tabId);
+    chrome.action.setBadgeText({ tabId, text: 'TAB' });
+    chrome.tabs.sendMessage(tabId, { action: 'tabCaptureStarted' }, { frameId: 0 }).catch(() => {});
+  } catch (error) {
+    console.error('[Halo] Error restoring detector in captured tab:', error);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if (tabId === await getCaptureTabId()) {
+    stopTabCapture();
+  }
+});
 
 /**
- * Determine which platform a URL belongs to
+ * Fetch an image for the image scanner when CORS keeps the page from reading it
+ * Resolves to { type, data } with the bytes base64-encoded (messages are JSON)
+ *
+ * The worker is only exempt from CORS on sites Halo has host access for, and it only
+ * fetches images the sending page shows, so pages can't use it to fetch other URLs.
  */
-function getPlatformFromUrl(url) {
-  if (!url) return null;
-  for (const [platform, regex] of Object.entries(platformMatchers)) {
-    if (regex.test(url)) return platform;
+async function fetchImageData(url, maxBytes, sender) {
+  if (!/^https?:/.test(url)) {
+    throw new Error('Only web images can be fetched');
+  }
+
+  const { protocol, hostname } = new URL(url);
+  if (!await chrome.permissions.contains({ origins: [`${protocol}//${hostname}/*`] })) {
+    throw new Error('No access to the image\'s site');
   }
-  return null;
+  if (!sender.tab || !await isImageOnPage(sender, url)) {
+    throw new Error('The image is not on the page');
+  }
+
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  if (Number(response.headers.get('Content-Length')) > maxBytes) {
+    throw new Error('Image is too large');
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > maxBytes) {
+    throw new Error('Image is too large');
+  }
+
+  // String.fromCharCode takes arguments, so convert in chunks
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { type: response.headers.get('Content-Type'), data: btoa(binary) };
+}
+
+/**
+ * Whether an <img> in the sender's frame shows this URL
+ */
+async function isImageOnPage(sender, url) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+    func: (imageUrl) => Array.from(document.images).some(img => img.currentSrc === imageUrl || img.src === imageUrl),
+    args: [url]
+  });
+  return Boolean(injection && injection.result);
 }
 
 /**
@@ -137,6 +382,149 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     return true; // Keep message channel open for async response
   }
+
+  if (request.action === 'videoSeen') {
+    // Look up (or create) the video's record; it counts as newly monitored if it's new
+    // or wasn't seen since the stats were last reset
+    Promise.all([
+      riskStore.touch(request.platform, request.videoId, request.details),
+      chrome.storage.local.get(['statsResetAt'])
+    ]).then(([{ record, previous }, data]) => {
+      const isNew = !previous || !previous.lastSeen || previous.lastSeen < (data.statsResetAt || 0);
+      sendResponse({ success: true, record, isNew });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'exportSegmentList') {
+    Promise.all([
+      riskStore.getAll(),
+      chrome.storage.sync.get(['detectionMode', 'sensitivityProfile', 'customSensitivity'])
+    ]).then(([records, settings]) => {
+      const list = buildSegmentList(records, {
+        version: chrome.runtime.getManifest().version,
+        detectionMode: settings.detectionMode || 'heuristic',
+        sensitivity: getSensitivity(settings)
+      });
+      sendResponse({ success: true, list });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'importSegmentList') {
+    // Imported segments merge into local records like detected ones; nothing local is removed
+    (async () => {
+      const { videos, errors } = parseSegmentList(request.text);
+      for (const video of videos) {
+        await riskStore.mergeRanges(video.platform, video.videoId, video.segments);
+      }
+      return { videos, errors };
+    })().then(({ videos, errors }) => {
+      sendResponse({ success: true, imported: videos.length, errors });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'startTabCapture') {
+    startTabCapture(request.tabId).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('[Halo] Error starting tab capture:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'stopTabCapture') {
+    stopTabCapture().then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'getCaptureState') {
+    getCaptureTabId().then(tabId => {
+      sendResponse({ success: true, tabId });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'tabCaptureHazard') {
+    // From the offscreen document; only the top frame shows the warning
+    chrome.tabs.sendMessage(request.tabId, request, { frameId: 0 }).catch(() => {});
+    return false;
+  }
+
+  if (request.action === 'tabCaptureEnded') {
+    // Capture stopped from Chrome's own UI, or the tab went away
+    getCaptureTabId().then(tabId => {
+      if (tabId === request.tabId) {
+        chrome.storage.session.remove('captureTabId');
+        clearCaptureIndicator(tabId);
+      }
+    });
+    return false;
+  }
+
+  if (request.action === 'analysisBlocked') {
+    // A video on the page is cross-origin, so only tab capture can analyze it
+    const tabId = sender.tab && sender.tab.id;
+    if (tabId !== undefined) {
+      getCaptureTabId().then(captureTabId => {
+        if (captureTabId === tabId) return;
+        chrome.action.setBadgeText({ tabId, text: '!' });
+        chrome.action.setTitle({ tabId, title: 'Halo can\'t analyze a video on this page. Open Halo to protect it with tab capture.' });
+      });
+    }
+    return false;
+  }
+
+  if (request.action === 'fetchImage') {
+    fetchImageData(request.url, request.maxBytes, sender).then(({ type, data }) => {
+      sendResponse({ success: true, type, data });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'logCaregiverEvent') {
+    // Serialized with the stat updates, so entries sent close together aren't lost
+    updateQueue = updateQueue.then(() => new Promise((resolve) => {
+      chrome.storage.local.get(['caregiverLog'], (data) => {
+        const log = data.caregiverLog || [];
+        log.push(request.event);
+        chrome.storage.local.set({ caregiverLog: log.slice(-CAREGIVER_LOG_SIZE) }, resolve);
+      });
+    })).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  }
+
+  if (request.action === 'closeHazardTab') {
+    // Only ever the tab that asked
+    if (sender.tab) {
+      chrome.tabs.remove(sender.tab.id).catch(() => {});
+    }
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.action === 'recordVideoRisk') {
+    riskStore.recordHazard(request.platform, request.videoId, request.hazard).then(record => {
+      sendResponse({ success: true, record });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  }
 });
 
 // Initialize default settings on install (first time only)
@@ -147,6 +535,18 @@ chrome.runtime.onInstalled.addListener((details) => {
     const defaultSettings = {
       enabled: true,
       autoPause: true,
+      detectionMode: 'heuristic',
+      lookAhead: false,
+      autoSkip: false,
+      responseMode: 'pause',
+      mitigationFilter: 'compress',
+      liveResponseMode: 'mitigate',
+      liveCooldown: 30,
+      responsePolicies: [],
+      warmupGuard: 'dim',
+      sensitivityProfile: 'standard',
+      sites: DEFAULT_SITES,
+      protectAllSites: false,
       audioEnabled: false, // Audio OFF by default
       soundType: 'meditation',
       stats: {
@@ -158,13 +558,28 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.sync.set(defaultSettings);
     chrome.storage.local.set(defaultSettings);
   } else if (details.reason === 'update') {
+    // The visited video list was replaced by the video risk store
+    chrome.storage.local.remove('visitedVideos');
+
     // Extension updated - preserve existing stats, ensure settings exist
     // Check both local and sync storage to preserve stats
     chrome.storage.local.get(['stats'], (localData) => {
-      chrome.storage.sync.get(['enabled', 'autoPause', 'stats'], (syncData) => {
+      chrome.storage.sync.get(['enabled', 'autoPause', 'detectionMode', 'lookAhead', 'autoSkip', 'responseMode', 'mitigationFilter', 'liveResponseMode', 'liveCooldown', 'responsePolicies', 'warmupGuard', 'sensitivityProfile', 'sites', 'protectAllSites', 'stats'], (syncData) => {
         const updates = {};
         if (syncData.enabled === undefined) updates.enabled = true;
         if (syncData.autoPause === undefined) updates.autoPause = true;
+        if (syncData.detectionMode === undefined) updates.detectionMode = 'heuristic';
+        if (syncData.lookAhead === undefined) updates.lookAhead = false;
+        if (syncData.autoSkip === undefined) updates.autoSkip = false;
+        if (syncData.responseMode === undefined) updates.responseMode = 'pause';
+        if (syncData.mitigationFilter === undefined) updates.mitigationFilter = 'compress';
+        if (syncData.liveResponseMode === undefined) updates.liveResponseMode = 'mitigate';
+        if (syncData.liveCooldown === undefined) updates.liveCooldown = 30;
+        if (syncData.responsePolicies === undefined) updates.responsePolicies = [];
+        if (syncData.warmupGuard === undefined) updates.warmupGuard = 'dim';
+        if (syncData.sensitivityProfile === undefined) updates.sensitivityProfile = 'standard';
+        if (syncData.sites === undefined) updates.sites = DEFAULT_SITES;
+        if (syncData.protectAllSites === undefined) updates.protectAllSites = false;
 
         // Preserve stats from local storage if available, otherwise use sync, otherwise reset
         if (!syncData.stats && !localData.stats) {
@@ -189,55 +604,7 @@ chrome.runtime.onInstalled.addListener((details) => {
       });
     });
   }
-});
-
-// Track when tabs are created or updated
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // Handle page load completion
-  if (changeInfo.status === 'complete' && tab.url) {
-    const platform = getPlatformFromUrl(tab.url);
-    if (platform) {
-      platformTabs[platform].add(tabId);
-    }
-  }
-
-  // Handle URL changes (navigation within a tab)
-  if (changeInfo.url) {
-    const newPlatform = getPlatformFromUrl(changeInfo.url);
 
-    // Remove tab from all platforms first
-    for (const [platform, tabSet] of Object.entries(platformTabs)) {
-      if (tabSet.has(tabId) && platform !== newPlatform) {
-        tabSet.delete(tabId);
-      }
-    }
-
-    // Add to new platform if applicable
-    if (newPlatform) {
-      platformTabs[newPlatform].add(tabId);
-    }
-  }
-});
-
-// Track when tabs are activated (switched to)
-chrome.tabs.onActivated.addListener((activeInfo) => {
-  chrome.tabs.get(activeInfo.tabId, (tab) => {
-    if (tab && tab.url) {
-      const platform = getPlatformFromUrl(tab.url);
-      if (platform) {
-        platformTabs[platform].add(activeInfo.tabId);
-      }
-    }
-  });
-});
-
-// Track when tabs are removed
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-
-  // Remove the tab from all platform sets
-  for (const [platform, tabSet] of Object.entries(platformTabs)) {
-    if (tabSet.has(tabId)) {
-      tabSet.delete(tabId);
-    }
-  }
+  // Registrations are replaced on every install or update, so a new file list takes effect
+  syncDetectorRegistration();
 });
@@ -1,10 +1,7 @@
 /**
  * Halo - Photosensitive Content Detector
- * Based on WCAG 2.1 Guidelines for Flash and Red Flash Thresholds
- *
- * Detection criteria:
- * - General Flash: 3+ flashes per second with luminance change > 10%
- * - Red Flash: 3+ flashes per second with saturated red transitions
+ * Finds the videos on a page, runs a FlashDetector (flash-detector.js) for each one and
+ * the animated image scanner (image-scanner.js), and shows warnings, notices and settings changes in the page
  */
 
 // Check if extension context is valid before running
@@ -13,327 +10,7 @@ if (typeof chrome === 'undefined') {
   throw new Error('Chrome API not available');
 }
 
-class FlashDetector {
-  constructor(video, videoId, warnedVideosSet, getProtectionEnabled) {
-    this.video = video;
-    this.videoId = videoId;
-    this.warnedVideosSet = warnedVideosSet; // Reference to global warned videos set
-    this.getProtectionEnabled = getProtectionEnabled; // Function to check if protection is enabled
-    this.canvas = document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-
-    // Detection parameters (WCAG 2.1 compliant)
-    this.LUMINANCE_THRESHOLD = 0.4; // 40% relative luminance change (stricter to reduce false positives)
-    this.RED_THRESHOLD = 0.6; // Saturated red detection
-    this.FLASH_FREQUENCY = 3; // 3 flashes per second
-    this.DETECTION_WINDOW = 1000; // 1 second in milliseconds
-    this.MIN_BRIGHTNESS = 0.10; // Ignore very dark frames (< 10% brightness) to filter fades & logos
-    this.WARMUP_FRAMES = 10; // Skip first 10 frames to avoid false positives during video initialization
-
-    // State tracking
-    this.prevLuminance = null;
-    this.prevRedSaturation = null;
-    this.flashTimestamps = [];
-    this.redFlashTimestamps = [];
-    this.isAnalyzing = false;
-    this.warningShown = false;
-    this.frameCount = 0;
-    this.skipFrames = 2; // Analyze every 3rd frame for performance
-    this.analyzedFrameCount = 0; // Count of actual analyzed frames (after skipping)
-
-    // Statistics
-    this.totalFlashes = 0;
-    this.maxFlashesPerSecond = 0;
-
-    // Error tracking
-    this.corsErrorLogged = false;
-  }
-
-  /**
-   * Calculate relative luminance of a frame
-   * Uses sRGB color space formula from WCAG
-   */
-  calculateLuminance(imageData) {
-    const data = imageData.data;
-    let totalLuminance = 0;
-    const pixelCount = data.length / 4;
-
-    // Sample every 4th pixel for performance (still statistically significant)
-    for (let i = 0; i < data.length; i += 16) {
-      const r = data[i] / 255;
-      const g = data[i + 1] / 255;
-      const b = data[i + 2] / 255;
-
-      // Convert to linear RGB
-      const rLinear = r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
-      const gLinear = g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
-      const bLinear = b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
-
-      // Calculate relative luminance
-      const luminance = 0.2126 * rLinear + 0.7152 * gLinear + 0.0722 * bLinear;
-      totalLuminance += luminance;
-    }
-
-    return totalLuminance / (pixelCount / 4);
-  }
-
-  /**
-   * Detect saturated red content in frame
-   * Red flash is particularly dangerous for photosensitive users
-   */
-  calculateRedSaturation(imageData) {
-    const data = imageData.data;
-    let redSaturation = 0;
-    const pixelCount = data.length / 4;
-
-    for (let i = 0; i < data.length; i += 16) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-
-      // Detect saturated red (high R, low G and B)
-      if (r > 200 && g < 100 && b < 100) {
-        redSaturation++;
-      }
-    }
-
-    return redSaturation / (pixelCount / 4);
-  }
-
-  /**
-   * Analyze a single frame for flash detection
-   */
-  analyzeFrame() {
-    // Stop analyzing if protection is disabled
-    if (!this.getProtectionEnabled()) {
-      this.stop();
-      return;
-    }
-
-    if (!this.video || this.video.paused || this.video.ended) {
-      return;
-    }
-
-    // Skip frames for performance
-    this.frameCount++;
-    if (this.frameCount % this.skipFrames !== 0) {
-      requestAnimationFrame(() => this.analyzeFrame());
-      return;
-    }
-
-    try {
-      // Capture current video frame
-      this.canvas.width = Math.min(this.video.videoWidth, 640);
-      this.canvas.height = Math.min(this.video.videoHeight, 360);
-
-      // Check if canvas is tainted (CORS issue)
-      try {
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        const currentTime = Date.now();
-
-        // Calculate luminance and red saturation
-        const currentLuminance = this.calculateLuminance(imageData);
-        const currentRedSaturation = this.calculateRedSaturation(imageData);
-
-        // Increment analyzed frame counter
-        this.analyzedFrameCount++;
-
-        // Skip warmup frames to avoid false positives during video initialization
-        if (this.analyzedFrameCount <= this.WARMUP_FRAMES) {
-          this.prevLuminance = currentLuminance;
-          this.prevRedSaturation = currentRedSaturation;
-          requestAnimationFrame(() => this.analyzeFrame());
-          return;
-        }
-
-        // Ignore very dark frames (loading screens, fade to black, etc.)
-        if (currentLuminance < this.MIN_BRIGHTNESS || (this.prevLuminance !== null && this.prevLuminance < this.MIN_BRIGHTNESS)) {
-          this.prevLuminance = currentLuminance;
-          this.prevRedSaturation = currentRedSaturation;
-          requestAnimationFrame(() => this.analyzeFrame());
-          return;
-        }
-
-        if (this.prevLuminance !== null) {
-          // Check for general flash (luminance change)
-          const luminanceChange = Math.abs(currentLuminance - this.prevLuminance);
-          const relativeLuminanceChange = luminanceChange / Math.max(this.prevLuminance, 0.01);
-
-          // Additional check: both current and previous luminance must be significant for a valid flash
-          const bothFramesBright = currentLuminance > this.MIN_BRIGHTNESS && this.prevLuminance > this.MIN_BRIGHTNESS;
-          const absoluteChangeSignificant = luminanceChange > 0.2; // At least 20% absolute change (increased from 10%)
-
-          if (relativeLuminanceChange > this.LUMINANCE_THRESHOLD && bothFramesBright && absoluteChangeSignificant) {
-            this.flashTimestamps.push(currentTime);
-            this.totalFlashes++;
-          }
-
-          // Check for red flash
-          const redChange = Math.abs(currentRedSaturation - this.prevRedSaturation);
-          if (redChange > this.RED_THRESHOLD && bothFramesBright) {
-            this.redFlashTimestamps.push(currentTime);
-          }
-
-          // Remove old timestamps outside detection window
-          this.flashTimestamps = this.flashTimestamps.filter(
-            t => currentTime - t <= this.DETECTION_WINDOW
-          );
-          this.redFlashTimestamps = this.redFlashTimestamps.filter(
-            t => currentTime - t <= this.DETECTION_WINDOW
-          );
-
-          // Update max flashes per second
-          this.maxFlashesPerSecond = Math.max(
-            this.maxFlashesPerSecond,
-            this.flashTimestamps.length
-          );
-
-          // Trigger warning if threshold exceeded
-          if (this.flashTimestamps.length >= this.FLASH_FREQUENCY) {
-            this.triggerWarning('general', this.flashTimestamps.length);
-          } else if (this.redFlashTimestamps.length >= this.FLASH_FREQUENCY) {
-            this.triggerWarning('red', this.redFlashTimestamps.length);
-          }
-
-          // Log flash activity for debugging
-          if (this.flashTimestamps.length > 0) {
-          }
-        }
-
-        this.prevLuminance = currentLuminance;
-        this.prevRedSaturation = currentRedSaturation;
-
-      } catch (corsError) {
-        // CORS/Security error - video cannot be analyzed (different origin)
-        // This is expected for some videos, silently skip this frame
-        // Suppressed logging to avoid console spam
-        this.corsErrorLogged = true;
-      }
-
-    } catch (error) {
-      // Other unexpected errors
-    }
-
-    // Continue analyzing
-    if (this.isAnalyzing) {
-      requestAnimationFrame(() => this.analyzeFrame());
-    }
-  }
-
-  /**
-   * Trigger warning overlay
-   */
-  triggerWarning(type, flashCount) {
-    // Report warning to popup - wrap in try-catch for extension context errors
-    if (this.warningShown) return;
-
-    this.warningShown = true;
-
-    // Pause video immediately
-    this.video.pause();
-
-    speakWarning(flashCount);
-
-    
-    try {
-      chrome.runtime.sendMessage({
-        action: 'updateStats',
-        stat: 'warningIssued'
-      }).then(response => {
-      }).catch(error => {
-      });
-    } catch (error) {
-    }
-
-    // Report flashes detected - wrap in try-catch for extension context errors
-    try {
-      chrome.runtime.sendMessage({
-        action: 'updateStats',
-        stat: 'flashDetected',
-        count: this.totalFlashes
-      }).then(response => {
-      }).catch(error => {
-      });
-    } catch (error) {
-    }
-
-    // Dispatch custom event for warning UI
-    const warningEvent = new CustomEvent('flashDetected', {
-      detail: {
-        type: type,
-        flashCount: flashCount,
-        maxFlashesPerSecond: this.maxFlashesPerSecond,
-        totalFlashes: this.totalFlashes,
-        timestamp: this.video.currentTime
-      }
-    });
-
-    // Show the warning overlay
-    this.showWarningOverlay(type, flashCount);
-  }
-
-  /**
-   * Show warning overlay without incrementing stats
-   * Used when video was already warned but user seeks back
-   */
-  showWarningOverlay(type, flashCount) {
-    const warningEvent = new CustomEvent('flashDetected', {
-      detail: {
-        type: type,
-        flashCount: flashCount,
-        maxFlashesPerSecond: this.maxFlashesPerSecond,
-        totalFlashes: this.totalFlashes,
-        timestamp: this.video.currentTime
-      }
-    });
-
-    document.dispatchEvent(warningEvent);
-  }
-
-  /**
-   * Reset detection state (used when seeking or resuming after warning)
-   */
-  resetDetectionState() {
-    this.prevLuminance = null;
-    this.prevRedSaturation = null;
-    this.flashTimestamps = [];
-    this.redFlashTimestamps = [];
-    this.analyzedFrameCount = 0;
-  }
-
-  /**
-   * Start detection
-   */
-  start() {
-    if (this.isAnalyzing) return;
-
-    this.isAnalyzing = true;
-    this.warningShown = false;
-    this.totalFlashes = 0;
-    this.maxFlashesPerSecond = 0;
-    this.resetDetectionState();
-
-    this.analyzeFrame();
-  }
-
-  /**
-   * Stop detection
-   */
-  stop() {
-    this.isAnalyzing = false;
-  }
-
-  /**
-   * Reset warning state (allow video to continue)
-   */
-  resetWarning() {
-    this.warningShown = false;
-    this.resetDetectionState();
-  }
-}
-
-function speakWarning(flashCount) {
+function speakWarning(type, flashCount, pattern) {
 
   chrome.storage.sync.get(['ttsEnabled'], (data) => {
 
@@ -347,7 +24,9 @@ function speakWarning(flashCount) {
   }
 
   // Create utterance with warning message
-  const message = `Warning! Detected ${flashCount} flashes per second. This content may be unsafe for photosensitive viewers.`;
+  const message = type === 'pattern'
+    ? `Warning! Detected a high-contrast striped pattern with ${pattern.pairs} light and dark pairs. This content may be unsafe for photosensitive viewers.`
+    : `Warning! Detected ${flashCount} flashes per second. This content may be unsafe for photosensitive viewers.`;
   const utterance = new SpeechSynthesisUtterance(message);
   
   // Configure voice settings
@@ -373,63 +52,123 @@ function speakWarning(flashCount) {
 
 // Main execution
 (function() {
+  // Tab capture can inject the detector into a page that already has it; run it once
+  if (window.haloDetectorLoaded) return;
+  window.haloDetectorLoaded = true;
 
   const detectors = new Map();
-  const visitedVideos = new Set(); // Track unique videos to prevent duplicate counting
+  const visitedVideos = new Set(); // Videos already reported on this page (unique counting is up to the video risk store)
   const warnedVideos = new Set(); // Track videos that have already shown warnings (prevents inflation from seeking)
+  const liveHazardLog = []; // Hazard episodes in live streams on this page (see FlashDetector.logHazard)
   let protectionEnabled = true; // Default to enabled
+
+  // Detector settings from chrome.storage.sync, kept current by storage.onChanged
+  const DEFAULT_SETTINGS = {
+    detectionMode: 'heuristic', // 'heuristic' or 'standards' (ITU-R BT.1702 opposing transitions)
+    lookAhead: false, // Scan ahead of the playhead in a hidden clone
+    autoSkip: false, // Seek past ranges already flagged in a video
+    responseMode: 'pause', // 'pause', 'mitigate' or 'mitigate-notify'
+    liveResponseMode: 'mitigate', // Same choices, for live streams (a paused stream falls behind)
+    responsePolicies: [], // Rules that override the response modes (see response-policy.js)
+    liveCooldown: 30, // Seconds after a live warning or notice before the next one
+    mitigationFilter: 'compress', // One of VideoMitigator.FILTERS, or 'smooth' for safe render
+    warmupGuard: 'dim', // While the detector warms up: 'dim', 'cover' or 'off' (see FlashDetector.holdGuard)
+    sensitivityProfile: 'standard', // One of SENSITIVITY_PROFILES, or 'custom'
+    customSensitivity: null, // Thresholds for the custom profile (see getSensitivity)
+    sites: DEFAULT_SITES // Site list (see sites.js), for this site's own sensitivity profile
+  };
+  const settings = { ...DEFAULT_SETTINGS };
+  let siteSettings = settings; // settings with this site's sensitivity profile applied
   let storageLoaded = false; // Track if storage has been loaded
+  const imageScanner = new ImageScanner(() => protectionEnabled, () => siteSettings); // Animated GIF/APNG/WebP images
 
-  // Load both enabled state and visited videos before initializing
+  // Load settings before initializing
   Promise.all([
     new Promise(resolve => {
-      chrome.storage.sync.get(['enabled'], (data) => {
+      chrome.storage.sync.get(['enabled', ...Object.keys(DEFAULT_SETTINGS)], (data) => {
         protectionEnabled = data.enabled !== false;
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+          if (data[key] !== undefined) {
+            settings[key] = data[key];
+          }
+        });
+        updateSiteSettings();
         resolve();
       });
     }).catch(error => {
     console.error('[Flash Guardian] Error loading settings:', error);
     protectionEnabled = true; // Default to enabled on error
     resolve();
-  }),
-    new Promise(resolve => {
-      chrome.storage.local.get(['visitedVideos'], (data) => {
-        if (data.visitedVideos && Array.isArray(data.visitedVideos)) {
-          data.visitedVideos.forEach(videoId => visitedVideos.add(videoId));
-        }
-        resolve();
-      });
-    })
+  })
   ]).then(() => {
     storageLoaded = true;
     // Now find and monitor videos
     findAndMonitorVideos();
+    if (protectionEnabled) {
+      imageScanner.start();
+    }
   });
 
   /**
-   * Get video identifier from URL (for YouTube)
+   * Apply this site's sensitivity profile from the site list, if it has one
    */
-  function getVideoId() {
-    // Check if we're on YouTube
-    if (window.location.hostname.includes('youtube.com')) {
-      // Check for Shorts first
-      if (window.location.pathname.includes('/shorts/')) {
-        const shortsMatch = window.location.pathname.match(/\/shorts\/([^/?]+)/);
-        return shortsMatch?.[1] || null;
-      }
-      
-      // Regular YouTube videos
-      const urlParams = new URLSearchParams(window.location.search);
-      const videoId = urlParams.get('v');
-      
-      // Return video ID for both watch pages and embedded players
-      if (videoId) {
-        return videoId;
+  function updateSiteSettings() {
+    const site = findSite(settings.sites, window.location.hostname);
+    siteSettings = site && site.sensitivityProfile
+      ? { ...settings, sensitivityProfile: site.sensitivityProfile }
+      : settings;
+  }
+
+  /**
+   * Count a video as monitored, and warn before playback if it was flagged on an earlier visit
+   */
+  function reportVideoSeen(detector, identity) {
+    const sendMonitored = () => {
+      try {
+        chrome.runtime.sendMessage({
+          action: 'updateStats',
+          stat: 'videoMonitored'
+        }).then(response => {
+        }).catch(error => {
+          if (error && error.message && error.message.includes('Extension context invalidated')) {
+            console.warn('[Halo] Extension was reloaded, cannot send message');
+          } else {
+            console.error('[Halo] Error sending videoMonitored message:', error);
+          }
+        });
+      } catch (error) {
+        console.warn('[Halo] Cannot send message, extension context may be invalid:', error);
       }
+    };
+
+    // Without a stable identity every visit is a new video
+    if (!detector.recordKey) {
+      sendMonitored();
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage({
+        action: 'videoSeen',
+        ...detector.recordKey,
+        details: { author: identity.author, title: identity.title }
+      }).then(response => {
+        if (!response || !response.success) return;
+
+        if (response.isNew) {
+          sendMonitored();
+        }
+        detector.addKnownRanges(response.record.ranges);
+
+        // With auto-skip on the flagged ranges are skipped instead
+        if (response.record.ranges.length > 0 && protectionEnabled && !settings.autoSkip) {
+          detector.warnKnownHazard(response.record);
+        }
+      }).catch(error => {
+      });
+    } catch (error) {
+      console.warn('[Halo] Cannot send message, extension context may be invalid:', error);
     }
-    
-    // For non-YouTube videos, use the src as an ID
-    return 'video-' + Math.random().toString(36).substr(2, 9);
   }
 
   /**
@@ -450,13 +189,10 @@ function speakWarning(flashCount) {
     // Get the current video source (URL or src attribute)
     const currentSrc = video.currentSrc || video.src;
 
-    // For YouTube, use the video ID from URL instead of video src
-    const videoId = getVideoId();
-
-  // Don't process videos on non-watch/non-shorts pages (homepage, search, etc.)
-  // if (!videoId) {
-  //   return;
-  // }
+    // Stable identity from the site's platform adapter (see platforms/platforms.js); videos
+    // without one are told apart by their source
+    const identity = resolveVideoIdentity(video);
+    const videoId = identity ? `${identity.platform}:${identity.videoId}` : `src:${currentSrc}`;
 
     // If no source yet, wait for it
     if (!currentSrc) {
@@ -481,6 +217,10 @@ function speakWarning(flashCount) {
   // New video detected in existing element
       const oldDetector = detectors.get(video);
       oldDetector.stop();
+      removeOverlay(video);
+      removeDegradedIndicator(video);
+      detachLookAhead(oldDetector);
+      oldDetector.markers.remove();
       detectors.delete(video);
     }
 
@@ -501,42 +241,27 @@ function speakWarning(flashCount) {
     video.dataset.flashGuardianSrc = currentSrc;
     video.dataset.flashGuardianVideoId = videoId;
 
-    const detector = new FlashDetector(video, videoId, warnedVideos, () => protectionEnabled);
+    const detector = new FlashDetector(video, videoId, warnedVideos, () => protectionEnabled, () => siteSettings);
+    // Live streams have no timeline to remember flagged ranges on
+    detector.live = Boolean(identity && identity.live) || video.duration === Infinity;
+    detector.hazardLog = liveHazardLog;
+    detector.recordKey = identity && !detector.live ? { platform: identity.platform, videoId: identity.videoId } : null;
     detectors.set(video, detector);
 
   // Created new detector for video ID (debug omitted)
 
-    // Report video monitored to popup (only for unique videos never seen before)
-    const alreadyVisited = visitedVideos.has(videoId);
-
-  if (!alreadyVisited) {
+    // Report the video once per page; the background worker decides whether it's new
+    if (!visitedVideos.has(videoId)) {
       // Add to set IMMEDIATELY to prevent double-counting if called twice rapidly
-  visitedVideos.add(videoId);
-
-      // Save visited videos to storage FIRST for persistence
-      chrome.storage.local.set({ visitedVideos: Array.from(visitedVideos) }, () => {
-
-        // THEN send the message to update stats
-        try {
-          chrome.runtime.sendMessage({
-            action: 'updateStats',
-            stat: 'videoMonitored'
-          }).then(response => {
-          }).catch(error => {
-            if (error && error.message && error.message.includes('Extension context invalidated')) {
-              console.warn('[Halo] Extension was reloaded, cannot send message');
-            } else {
-              console.error('[Halo] Error sending videoMonitored message:', error);
-            }
-          });
-        } catch (error) {
-          console.warn('[Halo] Cannot send message, extension context may be invalid:', error);
-        }
-      });
-    } else {
+      visitedVideos.add(videoId);
+      reportVideoSeen(detector, identity);
+    }
+
+    if (settings.lookAhead) {
+      attachLookAhead(detector);
     }
 
-    setupVideoEventListeners(video, detector);
+    setupVideoEventListeners(video);
 
     // If video is already playing, start detection immediately (only if protection enabled)
     if (!video.paused && protectionEnabled) {
@@ -544,10 +269,35 @@ function speakWarning(flashCount) {
     }
   }
 
+  /**
+   * Start look-ahead scanning for a detector's video, if its source can be cloned
+   */
+  function attachLookAhead(detector) {
+    if (detector.lookAhead || detector.live || !LookAheadScanner.canScan(detector.video)) {
+      return;
+    }
+    detector.lookAhead = new LookAheadScanner(detector.video, () => protectionEnabled, () => siteSettings);
+    detector.lookAhead.onSegmentsChanged = () => detector.updateMarkers();
+    detector.lookAhead.start();
+  }
+
+  /**
+   * Stop look-ahead scanning for a detector
+   */
+  function detachLookAhead(detector) {
+    if (detector.lookAhead) {
+      detector.lookAhead.stop();
+      detector.lookAhead = null;
+      detector.updateMarkers();
+    }
+  }
+
   /**
    * Setup event listeners for a video element
+   * They're set up once per element and act on its current detector, since players reuse
+   * the element for the next video
    */
-  function setupVideoEventListeners(video, detector) {
+  function setupVideoEventListeners(video) {
     // Check if already set up to avoid duplicate listeners
     if (video.dataset.flashGuardianListenersSetup === 'true') {
       return;
@@ -557,39 +307,81 @@ function speakWarning(flashCount) {
     // Start detection when video plays
     video.addEventListener('play', () => {
       // Only start detection if protection is enabled
-      if (!protectionEnabled) {
+      const current = detectors.get(video);
+      if (!current || !protectionEnabled) {
         return;
       }
 
+      // Resuming a live stream after a warning re-arms it once the cooldown has passed
+      if (current.live && current.warningShown) {
+        current.resetWarning();
+        current.startCooldown();
+      }
+
       // If playing from the beginning (first 3 seconds), reset warning
-      if (video.currentTime < 3) {
-        detector.warningShown = false;
-        detector.totalFlashes = 0;
-        detector.maxFlashesPerSecond = 0;
+      if (!current.live && video.currentTime < 3) {
+        current.warningShown = false;
+        current.totalFlashes = 0;
+        current.maxFlashesPerSecond = 0;
+        current.maxFlashArea = 0;
       }
-      detector.start();
+      current.start();
     });
 
     // Stop detection when video pauses
     video.addEventListener('pause', () => {
-      detector.stop();
+      const current = detectors.get(video);
+      if (current) {
+        current.stop();
+      }
     });
 
     // Reset detection state when seeking to avoid false positives
-      video.addEventListener('seeking', () => {
-      detector.resetDetectionState();
+    video.addEventListener('seeking', () => {
+      const current = detectors.get(video);
+      if (!current) {
+        return;
+      }
+      current.resetDetectionState();
 
       // If seeking backwards or to the beginning, allow warning to show again
       if (video.currentTime < 10) {
-        detector.warningShown = false;
-        detector.totalFlashes = 0;
-        detector.maxFlashesPerSecond = 0;
+        current.warningShown = false;
+        current.totalFlashes = 0;
+        current.maxFlashesPerSecond = 0;
+        current.maxFlashArea = 0;
+      }
+    });
+
+    // Seek past ranges already flagged in this video
+    video.addEventListener('timeupdate', () => {
+      const current = detectors.get(video);
+      if (!current || !settings.autoSkip || !protectionEnabled || video.paused) {
+        return;
+      }
+
+      const range = current.getSkipRange(video.currentTime);
+      if (range) {
+        current.skipRange(range);
+      }
+    });
+
+    // Some players only report an endless duration once the stream has loaded
+    video.addEventListener('durationchange', () => {
+      const current = detectors.get(video);
+      if (current && video.duration === Infinity && !current.live) {
+        current.live = true;
+        current.recordKey = null;
+        detachLookAhead(current);
       }
     });
 
     // Clean up when video ends
     video.addEventListener('ended', () => {
-      detector.stop();
+      const current = detectors.get(video);
+      if (current) {
+        current.stop();
+      }
     });
 
   // Setup event listeners for video (debug info omitted)
@@ -604,7 +396,8 @@ function speakWarning(flashCount) {
       return;
     }
 
-    const videos = document.querySelectorAll('video');
+    // Look-ahead clones are analyzed by their own scanner
+    const videos = document.querySelectorAll('video:not([data-halo-look-ahead])');
   // Found videos on page (debug omitted)
     videos.forEach(video => initializeDetector(video));
   }
@@ -636,42 +429,303 @@ function speakWarning(flashCount) {
     showWarningOverlay(event.detail);
   });
 
+  // Show a short notice over the video when the response policy notifies instead of pausing
+  let noticeTimeout;
+  let queuedNotice = null; // { video, message, action } held back while a bare <video> is fullscreen
+  document.addEventListener('flashResponded', (event) => {
+    if (!protectionEnabled) {
+      return;
+    }
+    showNotice(event.detail.video, getResponseNotice(event.detail));
+  });
+
+  // Show an indicator on videos the detector can't sample often enough to see 3 Hz flashes
+  const degradedIndicators = new Map(); // video -> indicator element
+  document.addEventListener('flashSamplingChanged', (event) => {
+    const details = event.detail;
+    if (!details.degraded) {
+      removeDegradedIndicator(details.video);
+      return;
+    }
+    if (!protectionEnabled || degradedIndicators.has(details.video)) return;
+
+    const indicator = document.createElement('div');
+    indicator.className = 'halo-degraded';
+    indicator.setAttribute('role', 'status');
+    indicator.textContent = '⚠ Protection degraded';
+    indicator.title = `Halo can only check about ${Math.round(details.rate)} frames per second of this video, so fast flashing may be missed. Closing other tabs or lowering the video quality can help`;
+    getOverlayHost().appendChild(indicator);
+    degradedIndicators.set(details.video, indicator);
+    positionDegradedIndicator(details.video, indicator);
+  });
+
+  /**
+   * Put a degraded indicator over its video's top-right corner
+   */
+  function positionDegradedIndicator(video, indicator) {
+    const rect = video.getBoundingClientRect();
+    indicator.style.top = `${Math.max(rect.top, 0) + 8}px`;
+    indicator.style.left = `${Math.max(rect.right - indicator.offsetWidth - 8, 0)}px`;
+    indicator.style.display = rect.width > 0 && rect.height > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Remove a video's degraded indicator, if it has one
+   */
+  function removeDegradedIndicator(video) {
+    const indicator = degradedIndicators.get(video);
+    if (indicator) {
+      indicator.remove();
+      degradedIndicators.delete(video);
+    }
+  }
+
+  // Offer to undo an auto-skip
+  document.addEventListener('flashSkipped', (event) => {
+    const details = event.detail;
+    const seconds = Math.max(1, Math.round(details.skipped));
+    showNotice(details.video, `Skipped ${seconds}s of ${getHazardName(details.range.type).toLowerCase()}`, {
+      label: 'Undo',
+      onClick: () => {
+        const detector = detectors.get(details.video);
+        if (detector) {
+          detector.undoSkip(details.range, details.from);
+        }
+      }
+    });
+  });
+
+  // Videos this script can't read (cross-origin) can only be analyzed through tab capture
+  document.addEventListener('flashAnalysisBlocked', () => {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'analysisBlocked'
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+  });
+
+  // Tab capture (see offscreen.js) analyzes everything the tab shows, including canvas,
+  // WebGL and cross-origin video; its hazards arrive here through the background worker
+  let captureActive = false;
+  let captureWarningShown = false;
+  let capturePausedVideos = []; // Videos the tab capture warning paused, resumed on Continue
+  let captureEpisodeUntil = 0; // Current tab capture response episode lasts until this time (Date.now())
+  const captureMitigator = new VideoMitigator(document.documentElement); // Filters the whole page
+
+  /**
+   * Respond to a hazard found by tab capture with the response policy (see response-policy.js)
+   * The whole page is filtered, muted or paused, since the capture can't tell which element flashed
+   */
+  function respondToCaptureHazard(details) {
+    if (!protectionEnabled) return;
+
+    const { actions } = getResponseActions(siteSettings, {
+      type: details.type,
+      hostname: window.location.hostname,
+      live: [...detectors.values()].some(detector => detector.live),
+      fullscreen: Boolean(document.fullscreenElement)
+    });
+
+    // The capture sees the filtered page, so hold longer before flashing can show through again
+    const holdTime = captureMitigator.HOLD_TIME * 2;
+    const now = Date.now();
+    const episodeStarted = now >= captureEpisodeUntil;
+    captureEpisodeUntil = now + holdTime;
+
+    // There's nothing to seek in a whole tab, so skipping reduces the flashing instead
+    if (actions.includes('mitigate') || actions.includes('skip')) {
+      // Safe render needs a video to draw over, so the whole page gets the default filter
+      const filter = settings.mitigationFilter === 'smooth' ? 'compress' : settings.mitigationFilter;
+      captureMitigator.engage(filter, holdTime);
+    }
+    if (actions.includes('mute')) {
+      detectors.forEach(detector => detector.muteHazard(holdTime));
+    }
+
+    const pause = actions.includes('pause') && !captureWarningShown;
+    if (pause) {
+      captureWarningShown = true;
+
+      capturePausedVideos = Array.from(document.querySelectorAll('video')).filter(video => !video.paused);
+      capturePausedVideos.forEach(video => video.pause());
+      speakWarning(details.type, details.flashCount, details.pattern);
+      reportCaptureStats(details);
+
+      const playing = document.querySelector('video');
+      showWarningOverlay({
+        ...details,
+        actions,
+        pausedVideos: capturePausedVideos.length,
+        capture: true,
+        detectionMode: siteSettings.detectionMode,
+        timestamp: playing ? playing.currentTime : 0
+      });
+    }
+
+    if (!episodeStarted) return;
+
+    if (!pause && actions.some(action => action !== 'pause')) {
+      reportCaptureStats(details);
+    }
+    if (actions.includes('warn')) {
+      speakWarning(details.type, details.flashCount, details.pattern);
+      showNotice(document.documentElement, getResponseNotice({ ...details, actions, capture: true }));
+    }
+    if (actions.includes('log')) {
+      logCaregiverEvent({ type: details.type, peak: details.flashCount, classification: details.classification, live: false, actions });
+    }
+    if (actions.includes('close-tab')) {
+      requestTabClose();
+    }
+  }
+
+  /**
+   * Report a tab capture warning and its flashes to the popup stats
+   */
+  function reportCaptureStats(details) {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stat: 'warningIssued'
+      }).then(response => {
+      }).catch(error => {
+      });
+      chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stat: 'flashDetected',
+        count: details.totalFlashes
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+  }
+
+  // Apply settings changes from the popup without a reload
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (changes[key]) {
+        settings[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULT_SETTINGS[key];
+      }
+    });
+    updateSiteSettings();
+
+    if (changes.detectionMode) {
+      // Extremes tracked under the old mode don't carry over
+      detectors.forEach(detector => detector.resetDetectionState());
+    }
+
+    if (changes.sensitivityProfile || changes.customSensitivity || changes.sites) {
+      const sensitivity = getSensitivity(siteSettings);
+      detectors.forEach(detector => {
+        detector.applySensitivity(sensitivity);
+        if (detector.lookAhead) {
+          detector.lookAhead.applySensitivity(sensitivity);
+        }
+      });
+    }
+
+    if (changes.warmupGuard && settings.warmupGuard === 'off') {
+      detectors.forEach(detector => detector.releaseGuard());
+    }
+
+    if (changes.lookAhead) {
+      detectors.forEach(detector => {
+        if (settings.lookAhead && protectionEnabled) {
+          attachLookAhead(detector);
+        } else {
+          detachLookAhead(detector);
+        }
+      });
+    }
+
+    // The next hazard engages whichever response is picked now
+    if (changes.responseMode || changes.liveResponseMode || changes.responsePolicies || changes.mitigationFilter) {
+      detectors.forEach(detector => {
+        detector.releaseMitigation();
+        detector.updateSafeRender();
+      });
+      captureMitigator.release();
+    }
+  });
+
   // Listen for messages from popup (e.g., enable/disable, reset stats)
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'enable') {
+    if (request.action === 'getProtectionStatus') {
+      // For the popup's protection mode indicator
+      const monitored = [...detectors.values()];
+      sendResponse({
+        success: true,
+        videos: monitored.length,
+        blocked: monitored.filter(detector => detector.corsErrorLogged).length,
+        degraded: monitored.filter(detector => detector.degraded).length,
+        capture: captureActive,
+        live: monitored.some(detector => detector.live),
+        liveHazardLog
+      });
+      return true;
+    }
+
+    if (request.action === 'tabCaptureHazard') {
+      respondToCaptureHazard(request);
+    } else if (request.action === 'tabCaptureStarted') {
+      if (!captureActive) {
+        showNotice(document.documentElement, 'Halo is analyzing everything shown in this tab');
+      }
+      captureActive = true;
+    } else if (request.action === 'tabCaptureStopped') {
+      captureActive = false;
+      captureWarningShown = false;
+      captureMitigator.release();
+    } else if (request.action === 'enable') {
       protectionEnabled = true;
       // Start all detectors if videos are playing
       detectors.forEach(detector => {
+        if (settings.lookAhead) {
+          attachLookAhead(detector);
+        }
         if (!detector.video.paused) {
           detector.start();
         }
+        detector.updateMarkers();
       });
+      imageScanner.start();
     } else if (request.action === 'disable') {
       protectionEnabled = false;
-      // Stop all detectors
-      detectors.forEach(detector => detector.stop());
+      // Stop all detectors, look-ahead clones and mitigation filters
+      detectors.forEach(detector => {
+        detector.stop();
+        detachLookAhead(detector);
+        detector.releaseMitigation();
+        detector.markers.remove();
+      });
+      captureMitigator.release();
+      imageScanner.stop();
 
-      // Hide any visible warning overlay
-      const overlay = document.getElementById('halo-overlay');
-      if (overlay) {
-        overlay.style.display = 'none';
-      }
+      // Remove any visible warning overlays and indicators
+      overlays.forEach((overlay, video) => removeOverlay(video));
+      degradedIndicators.forEach((indicator, video) => removeDegradedIndicator(video));
     } else if (request.action === 'resetStats') {
-      // Clearing visited videos cache and warned videos
       // Clear the visited videos set so videos can be counted again
       visitedVideos.clear();
       // Clear the warned videos set so warnings can be issued again
       warnedVideos.clear();
-      // Also clear from storage
-      chrome.storage.local.set({ visitedVideos: [] }, () => {
-      });
     }
     sendResponse({ success: true });
     return true;
   });
 
+  // Warning overlays (see warning-overlay.js), one per video, anchored over its player.
+  // The tab capture warning has no video (null key) and covers the whole page.
+  const overlays = new Map(); // video (or null) -> WarningOverlay
+
   /**
-   * Create and show warning overlay
+   * Create or update the warning overlay for the video in details
    */
   function showWarningOverlay(details) {
     // Check if extension context is still valid
@@ -685,107 +739,337 @@ function speakWarning(flashCount) {
       return;
     }
 
-    // Check if overlay already exists
-    let overlay = document.getElementById('halo-overlay');
+    let warningIconUrl;
+    try {
+      warningIconUrl = chrome.runtime.getURL('icons/warning.png');
+    } catch (e) {
+      // Cannot get icon URL; extension context invalidated
+      return;
+    }
 
-    if (!overlay) {
-      overlay = document.createElement('div');
-      overlay.id = 'halo-overlay';
+    // Only the blocking warning leaves a fullscreen <video>; it couldn't be seen otherwise
+    if (isVideoFullscreen()) {
+      document.exitFullscreen().catch(() => {});
+    }
 
-      let warningIconUrl;
-      try {
-        warningIconUrl = chrome.runtime.getURL('icons/warning.png');
-      } catch (e) {
-        // Cannot get icon URL; extension context invalidated
-        return;
-      }
+    const video = details.video || null;
+    let overlay = overlays.get(video);
+    if (!overlay) {
+      overlay = new WarningOverlay(video, getOverlayActions(video));
+      overlays.set(video, overlay);
+    }
 
-      overlay.innerHTML = `
-        <div class="halo-content">
-          <div class="halo-icon">
-            <img src="${warningIconUrl}" alt="Warning">
-          </div>
-          <h2>Photosensitive Warning</h2>
-          <p class="halo-message">
-            Rapid flashing content detected (<strong>${details.flashCount} flashes/second</strong>)
-          </p>
-          <p class="halo-info">
-            This video may contain content that could trigger seizures in people with photosensitive epilepsy.
-          </p>
-          <div class="halo-stats">
-            <div>Max flashes/sec: <strong>${details.maxFlashesPerSecond}</strong></div>
-            <div>Total flashes: <strong>${details.totalFlashes}</strong></div>
-            <div>Timestamp: <strong>${Math.floor(details.timestamp)}s</strong></div>
-          </div>
-          <div class="halo-buttons">
-            <button id="halo-continue" class="fg-btn fg-btn-danger">
-              Continue Anyway (Not Recommended)
-            </button>
-            <button id="halo-close" class="fg-btn fg-btn-primary">
-              Pause Video
-            </button>
-          </div>
-          <p class="halo-wcag">
-            Detection based on WCAG 2.1 Guidelines (≥3 flashes/second threshold)
-          </p>
-        </div>
-      `;
+    overlay.show({
+      message: getWarningMessage(details),
+      stats: getWarningStats(details),
+      note: getStandardNote(details),
+      announcement: getAnnouncement(details, overlay.actions.skip !== null)
+    }, getOverlayHost(), warningIconUrl);
+  }
 
-      document.body.appendChild(overlay);
+  /**
+   * What an overlay's buttons and shortcuts do; each only acts on its own video
+   */
+  function getOverlayActions(video) {
+    const close = () => {
+      cancelSpeech();
+      overlays.delete(video);
+    };
+
+    if (!video) {
+      // Tab capture warning: Continue resumes what it paused
+      return {
+        continue: () => {
+          close();
+          captureWarningShown = false;
+          capturePausedVideos.forEach(paused => paused.play());
+          capturePausedVideos = [];
+        },
+        pause: () => {
+          close();
+          capturePausedVideos = [];
+        },
+        skip: null
+      };
+    }
 
-      // Add event listeners
-      document.getElementById('halo-continue').addEventListener('click', () => {
-        const videos = document.querySelectorAll('video');
-        // Stop any speech warnings before resuming playback
-        try {
-          if (window.speechSynthesis && typeof window.speechSynthesis.cancel === 'function') {
-            window.speechSynthesis.cancel();
+    const detector = detectors.get(video);
+    const canSkip = Boolean(detector) && !detector.live && Number.isFinite(video.duration);
+
+    return {
+      continue: () => {
+        close();
+        const current = detectors.get(video);
+        if (current) {
+          current.resetWarning();
+          if (current.live) {
+            current.startCooldown();
           }
-        } catch (e) {
-          // Ignore if speechSynthesis isn't available or cancel fails
         }
+        video.play();
+      },
+      pause: () => {
+        close();
+        // Keep video at current position instead of resetting
+        video.pause();
+      },
+      skip: canSkip ? () => {
+        close();
+        const current = detectors.get(video);
+        if (current) {
+          current.resetWarning();
+          current.skipRange(current.getWarningSkipRange());
+        }
+        video.play();
+      } : null
+    };
+  }
 
-        videos.forEach(video => {
-          const detector = detectors.get(video);
-          if (detector) {
-            detector.resetWarning();
-            video.play();
-          }
-        });
+  /**
+   * Remove a video's warning overlay (null for the tab capture one)
+   */
+  function removeOverlay(video) {
+    const overlay = overlays.get(video);
+    if (overlay) {
+      overlay.remove();
+      overlays.delete(video);
+    }
+  }
 
-        overlay.style.display = 'none';
-      });
+  /**
+   * Element overlays and notices are attached to: the fullscreen element when there is one,
+   * since nothing outside it is shown in fullscreen
+   * A fullscreen <video> can't hold other elements, so they go to the body (see isVideoFullscreen)
+   */
+  function getOverlayHost() {
+    const fullscreen = document.fullscreenElement;
+    return fullscreen && !isVideoFullscreen() ? fullscreen : document.body;
+  }
 
-      document.getElementById('halo-close').addEventListener('click', () => {
-        const videos = document.querySelectorAll('video');
-        videos.forEach(video => {
-          video.pause();
-          // Keep video at current position instead of resetting
-        });
-        // Stop any speech warnings when pausing the video
-        try {
-          if (window.speechSynthesis && typeof window.speechSynthesis.cancel === 'function') {
-            window.speechSynthesis.cancel();
-          }
-        } catch (e) {
-          // Ignore if speechSynthesis isn't available or cancel fails
-        }
+  /**
+   * Whether a bare <video> is fullscreen, hiding everything Halo adds to the page
+   */
+  function isVideoFullscreen() {
+    return Boolean(document.fullscreenElement && document.fullscreenElement.tagName === 'VIDEO');
+  }
+
+  /**
+   * Keep overlays over their videos, dropping the ones whose video left the page
+   */
+  function positionOverlays() {
+    overlays.forEach((overlay, video) => {
+      if (video && !video.isConnected) {
+        removeOverlay(video);
+      } else {
+        overlay.position();
+      }
+    });
+    degradedIndicators.forEach((indicator, video) => {
+      if (!video.isConnected) {
+        removeDegradedIndicator(video);
+      } else {
+        positionDegradedIndicator(video, indicator);
+      }
+    });
+  }
+
+  window.addEventListener('scroll', positionOverlays, { capture: true, passive: true });
+  window.addEventListener('resize', positionOverlays);
+
+  // Move overlays and the notice into (or back out of) the fullscreen element
+  document.addEventListener('fullscreenchange', () => {
+    const host = getOverlayHost();
+    overlays.forEach(overlay => overlay.attach(host));
+    degradedIndicators.forEach(indicator => host.appendChild(indicator));
+
+    const notice = document.getElementById('halo-notice');
+    if (notice) {
+      host.appendChild(notice);
+    }
+    positionOverlays();
+
+    // Show the notice held back while a bare <video> was fullscreen
+    if (queuedNotice && !isVideoFullscreen()) {
+      const { video, message, action } = queuedNotice;
+      queuedNotice = null;
+      if (video.isConnected) {
+        showNotice(video, message, action);
+      }
+    }
+  });
+
+  /**
+   * Stop any speech warning
+   */
+  function cancelSpeech() {
+    try {
+      if (window.speechSynthesis && typeof window.speechSynthesis.cancel === 'function') {
+        window.speechSynthesis.cancel();
+      }
+    } catch (e) {
+      // Ignore if speechSynthesis isn't available or cancel fails
+    }
+  }
+
+  /**
+   * Show a short, non-blocking notice over a video, with an optional action button
+   * action is { label, onClick }; the notice hides after a few seconds or once the action is used
+   */
+  function showNotice(video, message, action = null) {
+    // Nothing over a fullscreen <video> can be seen, so keep the latest notice for when it exits
+    if (isVideoFullscreen()) {
+      queuedNotice = { video, message, action };
+      return;
+    }
+
+    let notice = document.getElementById('halo-notice');
+
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.id = 'halo-notice';
+      notice.setAttribute('role', 'status');
+    }
+    if (notice.parentElement !== getOverlayHost()) {
+      getOverlayHost().appendChild(notice);
+    }
 
-        overlay.style.display = 'none';
+    notice.textContent = message;
 
-        // Optionally close the tab or go back
-        // window.history.back();
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'halo-notice-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        notice.style.display = 'none';
+        action.onClick();
       });
-    } else {
-      // Update existing overlay with new data
-      overlay.querySelector('.halo-message').innerHTML =
-        `Rapid flashing content detected (<strong>${details.flashCount} flashes/second</strong>)`;
-      overlay.querySelector('.halo-stats').innerHTML = `
-        <div>Max flashes/sec: <strong>${details.maxFlashesPerSecond}</strong></div>
-        <div>Total flashes: <strong>${details.totalFlashes}</strong></div>
+      notice.appendChild(button);
+    }
+
+    const rect = video.getBoundingClientRect();
+    notice.style.top = `${Math.max(rect.top, 0) + 16}px`;
+    notice.style.left = `${Math.max(rect.left, 0) + 16}px`;
+    notice.style.display = 'block';
+
+    clearTimeout(noticeTimeout);
+    noticeTimeout = setTimeout(() => {
+      notice.style.display = 'none';
+    }, action ? 6000 : 4000);
+  }
+
+  /**
+   * Notice text for a hazard the response policy notifies about, saying what Halo is doing
+   */
+  function getResponseNotice(details) {
+    const rate = details.type === 'pattern' ? '' : ` (${details.flashCount} flashes/second)`;
+    const where = details.capture ? ' in this tab' : '';
+    const doing = [];
+    // Where there's nothing to seek, skipping reduces the flashing instead
+    const skipReduces = details.actions.includes('skip') && (details.capture || details.live);
+    if (details.actions.includes('mitigate') || skipReduces) {
+      doing.push('reducing it');
+    }
+    if (details.actions.includes('mute')) {
+      doing.push('muting the sound');
+    }
+    const response = doing.length > 0 ? ` Halo is ${doing.join(' and ')} while it lasts.` : '';
+    return `${getHazardName(details.type)} detected${where}${rate}.${response}`;
+  }
+
+  /**
+   * Headline for the overlay, depending on what kind of hazard was detected
+   */
+  function getWarningMessage(details) {
+    if (details.capture) {
+      const rate = details.type === 'pattern' ? '' : ` (<strong>${details.flashCount} flashes/second</strong>)`;
+      return `${getHazardName(details.type)} detected in this tab${rate}`;
+    }
+    if (details.known) {
+      const times = details.ranges.slice(0, 3).map(range => `${Math.floor(range.start)}s`).join(', ');
+      return `Flashing content is on record for this video at <strong>${times}</strong>`;
+    }
+    if (details.type === 'pattern' && details.pattern) {
+      const motion = details.pattern.moving ? 'Moving high-contrast' : 'High-contrast';
+      return `${motion} striped pattern detected (<strong>${details.pattern.pairs} light-dark pairs</strong>)`;
+    }
+    if (details.upcoming) {
+      if (details.type === 'pattern') {
+        return `Hazardous pattern ahead at <strong>${Math.floor(details.timestamp)}s</strong>`;
+      }
+      return `Flashing content ahead at <strong>${Math.floor(details.timestamp)}s</strong> (<strong>${details.flashCount} flashes/second</strong>)`;
+    }
+    if (details.type === 'red') {
+      return `Rapid red flashing detected (<strong>${details.flashCount} flashes/second</strong>)`;
+    }
+    return `Rapid flashing content detected (<strong>${details.flashCount} flashes/second</strong>)`;
+  }
+
+  /**
+   * Figures shown under the overlay's message; patterns are described by their stripes, not a flash rate
+   */
+  function getWarningStats(details) {
+    if (details.type === 'pattern' && details.pattern) {
+      return `
+        <div>Light-dark pairs: <strong>${details.pattern.pairs}</strong></div>
+        <div>Pattern area: <strong>${Math.round(details.pattern.area * 100)}% of frame</strong></div>
         <div>Timestamp: <strong>${Math.floor(details.timestamp)}s</strong></div>
       `;
-      overlay.style.display = 'flex';
     }
+    return `
+      <div>Max flashes/sec: <strong>${details.maxFlashesPerSecond}</strong></div>
+      <div>Total flashes: <strong>${details.totalFlashes}</strong></div>
+      <div>Flashing area: <strong>${Math.round(details.flashArea * 100)}% of frame</strong></div>
+      <div>Timestamp: <strong>${Math.floor(details.timestamp)}s</strong></div>
+      ${details.classification ? `<div>Looks like: <strong>${getClassificationName(details.classification)}</strong></div>` : ''}
+    `;
+  }
+
+  /**
+   * What screen readers announce when an overlay appears: the hazard, what Halo did about it
+   * and the keys to respond
+   */
+  function getAnnouncement(details, canSkip) {
+    const message = document.createElement('div');
+    message.innerHTML = getWarningMessage(details);
+    const keys = canSkip ? 'P to pause, C to continue or S to skip it' : 'P to pause or C to continue';
+    const response = getResponseSummary(details, canSkip);
+    return `Photosensitive warning. ${message.textContent}.${response ? ` ${response}.` : ''} Press ${keys}.`;
+  }
+
+  /**
+   * What the response actions behind a warning did, as a sentence (empty when they did nothing to say)
+   */
+  function getResponseSummary(details, canSkip) {
+    const actions = details.actions || ['pause'];
+    const done = [];
+
+    if (actions.includes('pause')) {
+      if (!details.capture) {
+        done.push(details.upcoming ? 'the video is paused before the flashing' : 'the video is paused');
+      } else if (details.pausedVideos > 0) {
+        done.push('the videos playing in this tab are paused');
+      }
+    }
+    // Where there's nothing to seek, skipping reduces the flashing instead
+    if (actions.includes('mitigate') || (actions.includes('skip') && (details.capture || !canSkip))) {
+      done.push('the flashing is being reduced');
+    }
+    if (actions.includes('mute')) {
+      done.push(details.capture ? 'videos in this tab are muted' : 'the sound is muted');
+    }
+
+    if (done.length === 0) return '';
+    const sentence = done.length > 1 ? `${done.slice(0, -1).join(', ')} and ${done[done.length - 1]}` : done[0];
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  }
+
+  /**
+   * Describe which standard the detection followed
+   */
+  function getStandardNote(details) {
+    if (details.detectionMode === 'standards') {
+      return 'Detection based on ITU-R BT.1702 (paired 20 cd/m² transitions, ≥3 flashes/second threshold)';
+    }
+    return 'Detection based on WCAG 2.1 Guidelines (≥3 flashes/second threshold)';
   }
 })();
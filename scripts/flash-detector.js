@@ -0,0 +1,1364 @@
+/**
+ * Halo - Flash Detector
+ * Based on WCAG 2.1 Guidelines for Flash and Red Flash Thresholds
+ *
+ * Detection criteria:
+ * - General Flash: 3+ flashes per second with luminance change > 10%,
+ *   over an area of at least 25% of a 10 degree visual field (341x256 px at 1024x768)
+ * - Red Flash: 3+ flashes per second with saturated red transitions
+ *   (R/(R+G+B) >= 0.8 and a CIE 1976 UCS chromaticity change >= 0.2)
+ * - Pattern: regular high-contrast stripes with more than 5 light-dark pairs (see pattern-analyzer.js)
+ *
+ * Scene cuts (the picture's structure and colors change, not just its brightness) only count
+ * as a flash when an opposing transition follows, and each hazard is classified as strobing,
+ * camera flashes or rapid scene cuts.
+ *
+ * Analyzes one video element. Used by the page's content script (detector.js), by look-ahead
+ * clones, and by tab capture in the offscreen document.
+ */
+
+class FlashDetector {
+  constructor(video, videoId, warnedVideosSet, getProtectionEnabled, getSettings) {
+    this.video = video;
+    this.videoId = videoId;
+    this.warnedVideosSet = warnedVideosSet; // Reference to global warned videos set
+    this.getProtectionEnabled = getProtectionEnabled; // Function to check if protection is enabled
+    this.getSettings = getSettings; // Function returning the current detector settings
+    this.patternAnalyzer = new PatternAnalyzer();
+    this.mitigator = new VideoMitigator(video);
+    this.safeRenderer = new SafeRenderer(video);
+    this.markers = new SegmentMarkers(video);
+    this.displayVideo = video; // Element the viewer sees (differs for look-ahead clones; null when the frame is the whole tab)
+    this.onHazard = null; // When set, hazards are reported here instead of warning the viewer
+    this.lookAhead = null; // LookAheadScanner for this video, when look-ahead scanning is on
+    this.recordKey = null; // { platform, videoId } in the video risk store, when the video has a stable identity
+    this.live = false; // Live stream: keeps monitoring after a warning, with a cooldown between warnings
+    this.hazardLog = []; // Live streams: { start, end, type, peak } per hazard episode (wall clock), shared per page
+
+    // Detection parameters (WCAG 2.1 compliant)
+    // LUMINANCE_THRESHOLD, RED_RATIO_THRESHOLD, FLASH_FREQUENCY, MIN_BRIGHTNESS, WARMUP_FRAMES
+    // and skipFrames come from the sensitivity profile (see applySensitivity)
+    this.RED_CHROMATICITY_CHANGE = 0.2; // Red transition: CIE 1976 UCS chromaticity change >= 0.2
+    this.RED_MIN_LUMINANCE = 0.01; // Below this a region is too dark to have a usable chromaticity
+    this.DETECTION_WINDOW = 1000; // 1 second of media time, in milliseconds
+    this.MIN_LUMINANCE_CHANGE = 0.2; // At least 20% absolute change
+
+    // Spatial analysis: WCAG only counts flashes covering 25% of a 10 degree visual field
+    this.GRID_COLUMNS = 8;
+    this.GRID_ROWS = 8;
+    this.SAFE_FLASH_AREA = 341 * 256; // Pixels on a 1024x768 screen at typical viewing distance
+    this.REFERENCE_SCREEN_AREA = 1024 * 768;
+    this.LOOK_AHEAD_LEAD = 0.5; // Pause this many seconds before a segment flagged by look-ahead
+    this.SKIP_LEAD = 0.3; // Auto-skip this many seconds before a flagged range (timeupdate fires every ~250ms)
+    this.SKIP_AHEAD = 10; // Seconds skipped from a warning when it isn't known yet how long the flashing lasts
+    this.HAZARD_LOG_SIZE = 100; // Live hazard episodes kept for the session
+    this.HAZARD_LOG_GAP = 2000; // Hazards less than 2s apart are one episode
+    this.EPISODE_GAP = 2000; // A hazard this many ms after the last one starts a new response episode
+    this.GUARD_HOLD = 1000; // The warm-up guard eases off this many ms after frames stop coming (pause, stall)
+    this.SAMPLE_RATE_FLOOR = 7; // Analyzed frames per media second needed to see 3 Hz flashes (2 per flash, plus margin)
+    this.SAMPLE_RATE_WINDOW = 2000; // Media ms the sampling rate is measured over
+
+    // Scene cuts: a cut to another shot changes the picture's structure and colors, a flash its brightness
+    this.CUT_SIMILARITY = 0.5; // Region luminance correlation below this means the structure changed
+    this.CUT_COLOR_DISTANCE = 0.3; // Chromaticity histogram distance (0-1) above this means the colors changed
+    this.CHROMA_BINS = 4; // Histogram bins per chromaticity axis
+    this.FLAT_DEVIATION = 0.05; // Frames whose luminance spread is under 5% of their mean have no structure
+    this.FLAT_NOISE = 0.002; // Spread always treated as noise (near-black frames)
+    this.CUT_REVERSAL_WINDOW = 500; // ms; a cut counts as a flash when an opposing transition follows within this
+    this.CAMERA_FLASH_DURATION = 250; // ms; brief bright bursts with longer gaps between them are camera flashes
+
+    // Standards mode (ITU-R BT.1702 / Harding): a flash is a pair of opposing transitions
+    this.DISPLAY_PEAK_LUMINANCE = 200; // cd/m² assumed for full white on a typical display
+    this.MIN_TRANSITION = 20; // cd/m² swing needed for a transition
+    this.MAX_DARKER_LUMINANCE = 160; // cd/m² the darker state has to stay below
+
+    // State tracking
+    this.prevLuminance = null;
+    this.prevRegionLuminance = null;
+    this.prevRegionColors = null;
+    this.regionExtremes = null; // Per-region luminance extremes for standards mode
+    this.flashTimestamps = [];
+    this.redFlashTimestamps = [];
+    this.flashEvents = []; // { time, type, kind ('cut' or 'flash'), direction } per counted flash, for classifyHazard
+    this.pendingCuts = { general: null, red: null }; // Scene cut waiting for an opposing transition: { time, direction }
+    this.isAnalyzing = false;
+    this.warningShown = false;
+    this.frameCallbackId = null; // Pending requestVideoFrameCallback (or rAF fallback) handle
+    this.lastPresentedFrame = null; // presentedFrames of the last analyzed frame
+    this.fallbackFrameCount = 0; // Frame counter when requestVideoFrameCallback is unavailable
+    this.analyzedFrameCount = 0; // Count of actual analyzed frames (after skipping)
+    this.frameInFlight = false; // A frame is with the frame analyzer
+    this.stateGeneration = 0; // Bumped on reset so late results for older frames are dropped
+
+    // Statistics
+    this.totalFlashes = 0;
+    this.maxFlashesPerSecond = 0;
+    this.maxFlashArea = 0; // Largest fraction of the frame seen flashing at once
+    this.lastPattern = null; // Most recent hazardous pattern measurement
+    this.lastClassification = null; // classifyHazard result for the most recent hazard
+    this.flaggedRanges = []; // { start, end, type, peak } found in this video, shown on the seek bar
+    this.pendingRisk = null; // Flagged range still growing, not yet saved to the video risk store
+    this.riskSaveTimer = null;
+    this.cooldownUntil = 0; // Live streams: no warning or notice before this time (Date.now())
+    this.episodeUntil = 0; // Current response episode lasts until this time (Date.now())
+    this.mutedByHalo = false; // The mute response muted the video
+    this.unmuteTimer = null;
+    this.undoneSkip = null; // Last skipped range the viewer undid
+    this.guarded = false; // Warm-up guard needed: the detector has no baseline yet since the last reset
+    this.guarding = false; // The warm-up guard filter is on the video (a response filter can take over)
+    this.guardStart = null; // Media time (ms) of the first frame analyzed after warm-up
+    this.samples = []; // { time, presented, analyzed } per frame callback within SAMPLE_RATE_WINDOW
+    this.samplingStart = null; // Media time (ms) the sampling rate measurement started at
+    this.samplingCheckedAt = null; // Media time (ms) of the last adaptSampling
+    this.lastCallbackFrame = null; // presentedFrames at the last frame callback
+    this.samplingRate = null; // Analyzed frames per media second, once measured
+    this.degraded = false; // Sampling is below SAMPLE_RATE_FLOOR even at every frame
+
+    // Error tracking
+    this.corsErrorLogged = false;
+
+    this.applySensitivity(getSensitivity(getSettings()));
+  }
+
+  /**
+   * Apply sensitivity thresholds (from getSensitivity); takes effect from the next analyzed frame
+   */
+  applySensitivity(sensitivity) {
+    this.LUMINANCE_THRESHOLD = sensitivity.luminanceThreshold; // Relative luminance change for a flash (0.4 = 40%)
+    this.RED_RATIO_THRESHOLD = sensitivity.redRatioThreshold; // Saturated red: R/(R+G+B) at or above this
+    this.FLASH_FREQUENCY = sensitivity.flashFrequency; // Flashes per second before warning
+    this.MIN_BRIGHTNESS = sensitivity.minBrightness; // Ignore darker frames to filter fades & logos
+    this.WARMUP_FRAMES = sensitivity.warmupFrames; // Frames skipped at start to avoid false positives during initialization
+    this.skipFrames = sensitivity.skipFrames; // Analyze every Nth presented frame for performance (lowered by adaptSampling)
+    this.maxSkipFrames = sensitivity.skipFrames; // adaptSampling never samples less often than the profile asks
+  }
+
+  /**
+   * Calculate relative luminance of each region from its mean linear RGB
+   */
+  calculateRegionLuminance(regionColors) {
+    const luminance = new Float32Array(regionColors.length / 3);
+
+    for (let region = 0; region < luminance.length; region++) {
+      luminance[region] = 0.2126 * regionColors[region * 3] +
+        0.7152 * regionColors[region * 3 + 1] +
+        0.0722 * regionColors[region * 3 + 2];
+    }
+
+    return luminance;
+  }
+
+  /**
+   * Average luminance of the whole frame (regions are equally sized)
+   */
+  calculateAverageLuminance(regionLuminance) {
+    let total = 0;
+    for (let region = 0; region < regionLuminance.length; region++) {
+      total += regionLuminance[region];
+    }
+    return total / regionLuminance.length;
+  }
+
+  /**
+   * Fraction of the frame whose luminance flashed between two frames
+   * A region flashes when its change passes the same thresholds used for the whole frame
+   */
+  calculateFlashArea(prevRegions, currentRegions) {
+    let flashingRegions = 0;
+
+    for (let region = 0; region < currentRegions.length; region++) {
+      const prev = prevRegions[region];
+      const current = currentRegions[region];
+      const change = Math.abs(current - prev);
+      const relativeChange = change / Math.max(prev, 0.01);
+
+      // Ignore dark regions (letterboxing, logos on black, fades)
+      const bothBright = current > this.MIN_BRIGHTNESS && prev > this.MIN_BRIGHTNESS;
+
+      if (relativeChange > this.LUMINANCE_THRESHOLD && bothBright && change > this.MIN_LUMINANCE_CHANGE) {
+        flashingRegions++;
+      }
+    }
+
+    return flashingRegions / currentRegions.length;
+  }
+
+  /**
+   * Standards mode: fraction of the frame completing a flash in this frame
+   * Each region remembers its last luminance extreme. A swing of at least MIN_TRANSITION cd/m²
+   * away from it, with the darker state below MAX_DARKER_LUMINANCE, is a transition,
+   * and two opposing transitions in a row make one flash (ITU-R BT.1702)
+   */
+  calculateTransitionFlashArea(currentRegions) {
+    if (!this.regionExtremes) {
+      this.regionExtremes = Array.from(currentRegions, luminance => ({
+        extreme: luminance * this.DISPLAY_PEAK_LUMINANCE,
+        direction: 0, // 1 while rising, -1 while falling, 0 before the first transition
+        pendingTransition: false // First half of a flash has been seen
+      }));
+      return 0;
+    }
+
+    let flashingRegions = 0;
+
+    for (let region = 0; region < currentRegions.length; region++) {
+      const state = this.regionExtremes[region];
+      const luminance = currentRegions[region] * this.DISPLAY_PEAK_LUMINANCE;
+      const change = luminance - state.extreme;
+
+      // Still moving the same way: the extreme just gets further away
+      if (state.direction !== 0 && Math.sign(change) === state.direction) {
+        state.extreme = luminance;
+        continue;
+      }
+
+      if (Math.abs(change) < this.MIN_TRANSITION) {
+        continue;
+      }
+
+      // Opposing swing large enough to be a transition
+      if (Math.min(luminance, state.extreme) < this.MAX_DARKER_LUMINANCE) {
+        if (state.pendingTransition) {
+          flashingRegions++;
+        }
+        state.pendingTransition = !state.pendingTransition;
+      } else {
+        // Both states too bright to count, so this breaks any pair in progress
+        state.pendingTransition = false;
+      }
+
+      state.direction = Math.sign(change);
+      state.extreme = luminance;
+    }
+
+    return flashingRegions / currentRegions.length;
+  }
+
+  /**
+   * Whether the change between two frames is a cut to another shot rather than a flash
+   * A flash changes brightness but keeps the picture's structure and colors; a cut changes both.
+   * Flat frames (like a full-frame strobe) have no structure to compare, so they're never cuts.
+   */
+  isSceneCut(prevRegions, currentRegions, prevColors, currentColors) {
+    const similarity = this.calculateStructuralSimilarity(prevRegions, currentRegions);
+    if (similarity === null || similarity >= this.CUT_SIMILARITY) {
+      return false;
+    }
+    return this.calculateHistogramDistance(
+      this.calculateChromaHistogram(prevColors),
+      this.calculateChromaHistogram(currentColors)
+    ) > this.CUT_COLOR_DISTANCE;
+  }
+
+  /**
+   * Correlation of two frames' region luminance (-1 to 1), or null when either frame is flat
+   * Brightening or darkening the whole picture keeps it near 1; a different shot drops it
+   */
+  calculateStructuralSimilarity(prevRegions, currentRegions) {
+    const count = currentRegions.length;
+    let prevMean = 0;
+    let currentMean = 0;
+    for (let region = 0; region < count; region++) {
+      prevMean += prevRegions[region];
+      currentMean += currentRegions[region];
+    }
+    prevMean /= count;
+    currentMean /= count;
+
+    let prevVariance = 0;
+    let currentVariance = 0;
+    let covariance = 0;
+    for (let region = 0; region < count; region++) {
+      const prev = prevRegions[region] - prevMean;
+      const current = currentRegions[region] - currentMean;
+      prevVariance += prev * prev;
+      currentVariance += current * current;
+      covariance += prev * current;
+    }
+
+    const prevDeviation = Math.sqrt(prevVariance / count);
+    const currentDeviation = Math.sqrt(currentVariance / count);
+    if (prevDeviation < prevMean * this.FLAT_DEVIATION + this.FLAT_NOISE ||
+        currentDeviation < currentMean * this.FLAT_DEVIATION + this.FLAT_NOISE) {
+      return null;
+    }
+
+    return covariance / count / (prevDeviation * currentDeviation);
+  }
+
+  /**
+   * Normalized histogram of the regions' chromaticity (r and g share of r+g+b), which ignores brightness
+   */
+  calculateChromaHistogram(regionColors) {
+    const bins = this.CHROMA_BINS;
+    const histogram = new Float32Array(bins * bins);
+    let counted = 0;
+
+    for (let region = 0; region < regionColors.length / 3; region++) {
+      const r = regionColors[region * 3];
+      const g = regionColors[region * 3 + 1];
+      const sum = r + g + regionColors[region * 3 + 2];
+      if (sum < this.RED_MIN_LUMINANCE) continue; // Too dark to have a usable chromaticity
+
+      const x = Math.min(Math.floor(r / sum * bins), bins - 1);
+      const y = Math.min(Math.floor(g / sum * bins), bins - 1);
+      histogram[y * bins + x]++;
+      counted++;
+    }
+
+    for (let bin = 0; bin < histogram.length && counted > 0; bin++) {
+      histogram[bin] /= counted;
+    }
+    return histogram;
+  }
+
+  /**
+   * Total variation distance between two histograms (0 = same, 1 = no overlap)
+   */
+  calculateHistogramDistance(a, b) {
+    let distance = 0;
+    for (let bin = 0; bin < a.length; bin++) {
+      distance += Math.abs(a[bin] - b[bin]);
+    }
+    return distance / 2;
+  }
+
+  /**
+   * Count a flash transition, holding a scene cut back until an opposing transition follows
+   * Cutting back and forth between a dark and a bright shot still counts; a single cut doesn't.
+   */
+  countTransition(type, time, direction, cut) {
+    const pending = this.pendingCuts[type];
+    this.pendingCuts[type] = null;
+    if (pending && time - pending.time <= this.CUT_REVERSAL_WINDOW && direction * pending.direction < 0) {
+      this.addFlash(type, pending.time, 'cut', pending.direction);
+    }
+
+    if (cut) {
+      this.pendingCuts[type] = { time, direction };
+    } else {
+      this.addFlash(type, time, 'flash', direction);
+    }
+  }
+
+  /**
+   * Record a counted flash
+   */
+  addFlash(type, time, kind, direction) {
+    if (type === 'red') {
+      this.redFlashTimestamps.push(time);
+    } else {
+      this.flashTimestamps.push(time);
+      this.totalFlashes++;
+    }
+    this.flashEvents.push({ time, type, kind, direction });
+  }
+
+  /**
+   * What the flashes behind a hazard are: 'scene-cuts' when most are reversed cuts,
+   * 'camera-flash' for brief bright bursts with longer gaps between them, otherwise 'strobe'
+   */
+  classifyHazard(type) {
+    const events = this.flashEvents.filter(event => event.type === type).sort((a, b) => a.time - b.time);
+    const cuts = events.filter(event => event.kind === 'cut').length;
+    if (events.length > 0 && cuts * 2 > events.length) {
+      return 'scene-cuts';
+    }
+
+    // Bright bursts run from a brightening to the next darkening, gaps the other way round
+    const bursts = [];
+    const gaps = [];
+    for (let i = 1; i < events.length; i++) {
+      const interval = events[i].time - events[i - 1].time;
+      if (events[i - 1].direction > 0 && events[i].direction < 0) {
+        bursts.push(interval);
+      } else if (events[i - 1].direction < 0 && events[i].direction > 0) {
+        gaps.push(interval);
+      }
+    }
+    if (bursts.length === 0) {
+      return 'strobe';
+    }
+
+    const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+    const burst = average(bursts);
+    const brief = burst <= this.CAMERA_FLASH_DURATION;
+    return brief && (gaps.length === 0 || average(gaps) >= burst * 2) ? 'camera-flash' : 'strobe';
+  }
+
+  /**
+   * Fraction of the frame that has to flash at once to count as a flash
+   * WCAG treats 341x256 px on a 1024x768 screen as 25% of a 10 degree visual field,
+   * so scale that area to the viewer's screen and the size the video is displayed at
+   */
+  getFlashAreaThreshold() {
+    const rect = this.displayVideo ? this.displayVideo.getBoundingClientRect() : null;
+    const displayedArea = rect ? rect.width * rect.height : 0;
+    const screenArea = (window.screen.width * window.screen.height) || this.REFERENCE_SCREEN_AREA;
+    const safeArea = this.SAFE_FLASH_AREA * screenArea / this.REFERENCE_SCREEN_AREA;
+
+    if (!displayedArea) {
+      return safeArea / screenArea;
+    }
+
+    // Videos smaller than the safe area still warn on full-frame flashes
+    return Math.min(1, safeArea / displayedArea);
+  }
+
+  /**
+   * Red proportion and CIE 1976 UCS (u', v') chromaticity of a region
+   * Near-black regions have no meaningful chromaticity, so they get the D65 white point
+   */
+  getRegionChromaticity(regionColors, region) {
+    const r = regionColors[region * 3];
+    const g = regionColors[region * 3 + 1];
+    const b = regionColors[region * 3 + 2];
+
+    // Linear sRGB to CIE XYZ (D65)
+    const x = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+    const denominator = x + 15 * y + 3 * z;
+    const sum = r + g + b;
+
+    if (y < this.RED_MIN_LUMINANCE || denominator === 0) {
+      return { redRatio: sum > 0 ? r / sum : 0, saturated: false, u: 0.1978, v: 0.4683 };
+    }
+
+    const redRatio = r / sum;
+    return {
+      redRatio,
+      saturated: redRatio >= this.RED_RATIO_THRESHOLD,
+      u: 4 * x / denominator,
+      v: 9 * y / denominator
+    };
+  }
+
+  /**
+   * Fraction of the frame with a saturated red transition between two frames
+   * WCAG: either state has R/(R+G+B) >= 0.8 and the chromaticity moves at least 0.2 in CIE 1976 UCS
+   */
+  calculateRedFlashArea(prevColors, currentColors) {
+    const regionCount = currentColors.length / 3;
+    let flashingRegions = 0;
+
+    for (let region = 0; region < regionCount; region++) {
+      const prev = this.getRegionChromaticity(prevColors, region);
+      const current = this.getRegionChromaticity(currentColors, region);
+
+      if (!prev.saturated && !current.saturated) {
+        continue;
+      }
+
+      const chromaticityChange = Math.hypot(current.u - prev.u, current.v - prev.v);
+      if (chromaticityChange >= this.RED_CHROMATICITY_CHANGE) {
+        flashingRegions++;
+      }
+    }
+
+    return flashingRegions / regionCount;
+  }
+
+  /**
+   * Schedule analysis of the next presented video frame
+   * requestVideoFrameCallback fires once per decoded frame, on the video's own timeline
+   */
+  scheduleFrame() {
+    if ('requestVideoFrameCallback' in this.video) {
+      this.frameCallbackId = this.video.requestVideoFrameCallback((now, metadata) => this.analyzeFrame(metadata, now));
+      return;
+    }
+
+    // Fallback: display-driven sampling stamped with the playhead position
+    this.frameCallbackId = requestAnimationFrame((now) => this.analyzeFrame({
+      mediaTime: this.video.currentTime,
+      presentedFrames: ++this.fallbackFrameCount
+    }, now));
+  }
+
+  /**
+   * Cancel the pending frame callback
+   */
+  cancelFrame() {
+    if (this.frameCallbackId === null) return;
+
+    if ('cancelVideoFrameCallback' in this.video) {
+      this.video.cancelVideoFrameCallback(this.frameCallbackId);
+    } else {
+      cancelAnimationFrame(this.frameCallbackId);
+    }
+    this.frameCallbackId = null;
+  }
+
+  /**
+   * Analyze a single frame for flash detection
+   * metadata comes from requestVideoFrameCallback (mediaTime in seconds, presentedFrames count)
+   * now is the callback's wall-clock time in ms
+   */
+  analyzeFrame(metadata, now) {
+    this.frameCallbackId = null;
+
+    // Stop analyzing if protection is disabled
+    if (!this.getProtectionEnabled()) {
+      this.stop();
+      return;
+    }
+
+    if (!this.video || this.video.paused || this.video.ended || !this.isAnalyzing) {
+      return;
+    }
+
+    this.holdGuard();
+
+    // Pause ahead of segments already flagged by look-ahead scanning
+    if (this.checkLookAhead()) {
+      return;
+    }
+
+    // Skip frames for performance. Counting presented frames (not display ticks) keeps the
+    // sampling rate tied to the video, whatever the refresh rate or playback speed
+    const skipped = this.lastPresentedFrame !== null &&
+      metadata.presentedFrames - this.lastPresentedFrame < this.skipFrames;
+
+    // One frame in flight at a time; frames that come up while it is analyzed are skipped
+    const analyze = !skipped && !this.frameInFlight;
+    if (analyze) {
+      this.lastPresentedFrame = metadata.presentedFrames;
+    }
+
+    // A MediaStream (tab capture) has no media timeline of its own; the element's clock runs in real time
+    const mediaTime = this.video.srcObject ? this.video.currentTime : metadata.mediaTime;
+    this.trackSampling(mediaTime * 1000, metadata.presentedFrames, analyze);
+
+    if (this.safeRenderer.active) {
+      this.renderFrame(mediaTime * 1000, now, analyze);
+    } else if (analyze) {
+      this.captureFrame(mediaTime * 1000);
+    }
+
+    // Continue analyzing
+    this.scheduleFrame();
+  }
+
+  /**
+   * Measure how many frames are really analyzed per media second, and adapt to it
+   * Frame skipping, a busy analyzer and throttled tabs all lower the rate; measuring per media
+   * second keeps stalls from counting and speeds playback up the way flashes are counted.
+   */
+  trackSampling(mediaTime, presentedFrames, analyzed) {
+    if (this.onHazard) return;
+
+    const last = this.samples[this.samples.length - 1];
+    // Seeks, loops and hidden tabs (no frame callbacks) start the measurement over
+    if (!last || mediaTime < last.time || mediaTime - last.time > this.SAMPLE_RATE_WINDOW) {
+      this.samples = [];
+      this.samplingStart = mediaTime;
+      this.samplingCheckedAt = mediaTime;
+      this.lastCallbackFrame = presentedFrames;
+    }
+
+    const presented = Math.max(1, presentedFrames - this.lastCallbackFrame); // Frames shown since the last callback
+    this.lastCallbackFrame = presentedFrames;
+    this.samples.push({ time: mediaTime, presented, analyzed });
+    this.samples = this.samples.filter(sample => mediaTime - sample.time < this.SAMPLE_RATE_WINDOW);
+
+    // Judge a full window, at most twice per window
+    if (mediaTime - this.samplingStart < this.SAMPLE_RATE_WINDOW ||
+        mediaTime - this.samplingCheckedAt < this.SAMPLE_RATE_WINDOW / 2) {
+      return;
+    }
+    this.samplingCheckedAt = mediaTime;
+    this.adaptSampling();
+  }
+
+  /**
+   * Analyze more often when the sampling rate is below SAMPLE_RATE_FLOOR, and less often again
+   * when there's plenty of headroom. Sampling is degraded when it's still too low with every
+   * frame due for analysis and frames are being missed; a video with fewer frames per second
+   * than the floor can't flash faster than it's sampled, so it isn't degraded.
+   */
+  adaptSampling() {
+    const seconds = this.SAMPLE_RATE_WINDOW / 1000;
+    const analyzedFrames = this.samples.filter(sample => sample.analyzed).length;
+    const presentedFrames = this.samples.reduce((total, sample) => total + sample.presented, 0);
+    this.samplingRate = analyzedFrames / seconds;
+
+    const missing = analyzedFrames < presentedFrames;
+    if (this.samplingRate < this.SAMPLE_RATE_FLOOR && missing) {
+      if (this.skipFrames > 1) {
+        this.skipFrames--;
+      } else {
+        this.setDegraded(true);
+      }
+      return;
+    }
+
+    this.setDegraded(false);
+    const slower = this.samplingRate * this.skipFrames / (this.skipFrames + 1); // Rate at the next step down
+    if (this.skipFrames < this.maxSkipFrames && slower >= this.SAMPLE_RATE_FLOOR * 1.5) {
+      this.skipFrames++;
+    }
+  }
+
+  /**
+   * Report a change in whether protection is degraded, for the on-video indicator and the popup
+   */
+  setDegraded(degraded) {
+    if (this.degraded === degraded) return;
+
+    this.degraded = degraded;
+    document.dispatchEvent(new CustomEvent('flashSamplingChanged', {
+      detail: {
+        video: this.video,
+        degraded: degraded,
+        rate: this.samplingRate
+      }
+    }));
+  }
+
+  /**
+   * Capture every frame for safe render, and pass the ones due for analysis on to the analyzer
+   * Both use the same bitmap, so each frame is only read back from the video once
+   */
+  renderFrame(currentTime, now, analyze) {
+    if (analyze) {
+      this.frameInFlight = true;
+    }
+
+    createImageBitmap(this.video)
+      .then(frame => {
+        this.safeRenderer.draw(frame, now);
+
+        if (analyze) {
+          this.captureFrame(currentTime, frame);
+        } else {
+          frame.close();
+        }
+      })
+      .catch(error => {
+        // No frame decoded yet; the next callback tries again
+        if (analyze) {
+          this.frameInFlight = false;
+        }
+      });
+  }
+
+  /**
+   * Send a frame to the frame analyzer and process the metrics when they come back
+   * currentTime is the frame's media time in milliseconds
+   * frame is an ImageBitmap already captured from the video (closed once analyzed); defaults to the video itself
+   */
+  captureFrame(currentTime, frame = null) {
+    const width = Math.min(this.video.videoWidth, 640);
+    const height = Math.min(this.video.videoHeight, 360);
+    if (!width || !height) {
+      if (frame) {
+        frame.close();
+      }
+      this.frameInFlight = false;
+      return;
+    }
+
+    const generation = this.stateGeneration;
+    this.frameInFlight = true;
+
+    FrameAnalyzer.getShared()
+      .analyze(frame || this.video, width, height, this.GRID_COLUMNS, this.GRID_ROWS)
+      .then(metrics => {
+        // Metrics for a frame from before a seek or reset no longer apply
+        if (generation === this.stateGeneration && this.isAnalyzing) {
+          this.processFrame(metrics, currentTime);
+        }
+      })
+      .catch(error => {
+        // CORS/Security error - video cannot be analyzed (different origin)
+        // This is expected for some videos, silently skip this frame
+        // Suppressed logging to avoid console spam
+        if (error && error.name === 'SecurityError' && !this.corsErrorLogged) {
+          this.corsErrorLogged = true;
+          document.dispatchEvent(new CustomEvent('flashAnalysisBlocked', {
+            detail: { video: this.video }
+          }));
+        }
+      })
+      .finally(() => {
+        this.frameInFlight = false;
+        if (frame) {
+          frame.close();
+        }
+      });
+  }
+
+  /**
+   * Run flash detection on the metrics of one analyzed frame
+   * Flash timestamps are media time, so frequencies are per second of video
+   */
+  processFrame(metrics, currentTime) {
+    // Calculate luminance per region from the region colors
+    const currentRegionColors = metrics.regionColors;
+    const currentRegionLuminance = this.calculateRegionLuminance(currentRegionColors);
+    const currentLuminance = this.calculateAverageLuminance(currentRegionLuminance);
+
+    // Increment analyzed frame counter
+    this.analyzedFrameCount++;
+
+    // Skip warmup frames to avoid false positives during video initialization
+    if (this.analyzedFrameCount <= this.WARMUP_FRAMES) {
+      this.prevLuminance = currentLuminance;
+      this.prevRegionLuminance = currentRegionLuminance;
+      this.prevRegionColors = currentRegionColors;
+      return;
+    }
+
+    if (this.prevLuminance !== null) {
+      // Check for general flash: enough of the frame has to change luminance at once.
+      // Dark regions are filtered per region so a small strobe in a dark scene still counts.
+      const flashArea = this.getSettings().detectionMode === 'standards'
+        ? this.calculateTransitionFlashArea(currentRegionLuminance)
+        : this.calculateFlashArea(this.prevRegionLuminance, currentRegionLuminance);
+
+      // A standards mode flash is already a pair of opposing transitions, so no cut is held back
+      const cut = this.getSettings().detectionMode !== 'standards' &&
+        this.isSceneCut(this.prevRegionLuminance, currentRegionLuminance, this.prevRegionColors, currentRegionColors);
+      const direction = Math.sign(currentLuminance - this.prevLuminance);
+
+      if (flashArea > 0 && flashArea >= this.getFlashAreaThreshold()) {
+        this.countTransition('general', currentTime, direction, cut);
+        this.maxFlashArea = Math.max(this.maxFlashArea, flashArea);
+      }
+
+      // Check for red flash (no brightness filter: red to black is the classic trigger)
+      const redFlashArea = this.calculateRedFlashArea(this.prevRegionColors, currentRegionColors);
+      if (redFlashArea > 0 && redFlashArea >= this.getFlashAreaThreshold()) {
+        this.countTransition('red', currentTime, direction, cut);
+      }
+
+      // Check for hazardous regular patterns (stripes, checkerboards, rings)
+      const pattern = this.patternAnalyzer.evaluate(metrics.pattern);
+
+      // Remove old timestamps outside detection window (and any from after a jump back, e.g. looping)
+      this.flashTimestamps = this.flashTimestamps.filter(
+        t => t <= currentTime && currentTime - t <= this.DETECTION_WINDOW
+      );
+      this.redFlashTimestamps = this.redFlashTimestamps.filter(
+        t => t <= currentTime && currentTime - t <= this.DETECTION_WINDOW
+      );
+      this.flashEvents = this.flashEvents.filter(
+        event => event.time <= currentTime && currentTime - event.time <= this.DETECTION_WINDOW
+      );
+
+      // Update max flashes per second
+      this.maxFlashesPerSecond = Math.max(
+        this.maxFlashesPerSecond,
+        this.flashTimestamps.length
+      );
+
+      // Trigger warning if threshold exceeded
+      let hazardous = true;
+      if (this.flashTimestamps.length >= this.FLASH_FREQUENCY) {
+        this.reportHazard('general', this.flashTimestamps.length);
+      } else if (this.redFlashTimestamps.length >= this.FLASH_FREQUENCY) {
+        this.reportHazard('red', this.redFlashTimestamps.length);
+      } else if (pattern.hazardous) {
+        this.lastPattern = pattern;
+        this.reportHazard('pattern', 0); // Patterns have no flash rate; lastPattern describes them
+      } else {
+        hazardous = false;
+      }
+
+      this.checkGuard(currentTime, hazardous);
+
+      // Log flash activity for debugging
+      if (this.flashTimestamps.length > 0) {
+      }
+    }
+
+    this.prevLuminance = currentLuminance;
+    this.prevRegionLuminance = currentRegionLuminance;
+    this.prevRegionColors = currentRegionColors;
+  }
+
+  /**
+   * Keep the warm-up guard on the video until the detector is confident (see checkGuard)
+   * Warm-up frames aren't checked for flashes, so without the guard the start of every
+   * play and every seek would be shown unprotected. The filter only changes what the viewer
+   * sees; frames are analyzed from the video itself.
+   */
+  holdGuard() {
+    if (!this.guarded || this.onHazard) return;
+
+    // A video that can't be analyzed never gets a baseline
+    if (this.corsErrorLogged) {
+      this.releaseGuard();
+      return;
+    }
+
+    // A response filter that took over the video stays until it's released
+    if (this.mitigator.active && !this.guarding) return;
+
+    this.mitigator.engage(this.getSettings().warmupGuard === 'cover' ? 'cover' : 'dim', this.GUARD_HOLD);
+    this.guarding = true;
+  }
+
+  /**
+   * Release the warm-up guard once a full detection window after warm-up has passed without a hazard
+   */
+  checkGuard(currentTime, hazardous) {
+    if (!this.guarded) return;
+
+    // Looping back restarts the window
+    if (this.guardStart === null || currentTime < this.guardStart) {
+      this.guardStart = currentTime;
+    }
+    if (!hazardous && currentTime - this.guardStart >= this.DETECTION_WINDOW) {
+      this.releaseGuard();
+    }
+  }
+
+  /**
+   * Take the warm-up guard off the video
+   */
+  releaseGuard() {
+    this.guarded = false;
+    this.guardStart = null;
+    if (this.guarding) {
+      this.guarding = false;
+      this.mitigator.release();
+    }
+  }
+
+  /**
+   * Warn if the playhead is about to reach a segment flagged by look-ahead scanning
+   * Returns true when playback was paused
+   */
+  checkLookAhead() {
+    if (!this.lookAhead || this.warningShown) {
+      return false;
+    }
+
+    const segment = this.lookAhead.getSegmentAhead(this.video.currentTime, this.LOOK_AHEAD_LEAD);
+    if (!segment) {
+      return false;
+    }
+
+    // Warn once per segment; live detection still runs if the viewer continues
+    segment.acknowledged = true;
+
+    // Mitigation and muting cover the whole segment instead of starting at it
+    const holdTime = (segment.end - this.video.currentTime) * 1000 + this.mitigator.HOLD_TIME;
+    return this.respond(segment.type, segment.peak, { segment, holdTime });
+  }
+
+  /**
+   * Route a detected hazard to the response policy, or to onHazard when it is set
+   * Live streams have no timeline to flag, so their hazards go to the session's hazard log instead
+   */
+  reportHazard(type, flashCount) {
+    this.lastClassification = type === 'pattern' ? null : this.classifyHazard(type);
+
+    if (this.onHazard) {
+      this.onHazard(type, flashCount);
+      return;
+    }
+
+    if (this.live) {
+      this.logHazard(type, flashCount);
+    } else {
+      this.noteRisk(type, flashCount);
+    }
+
+    this.respond(type, flashCount);
+  }
+
+  /**
+   * Carry out the actions the response policy picks for a hazard (see response-policy.js)
+   * Mitigation, muting and skipping follow the hazard for as long as it lasts; stats, notices,
+   * the caregiver log and closing the tab happen once per episode. In live streams nothing
+   * new is shown until the cooldown after a warning or notice has passed.
+   * options is { segment, holdTime } for segments flagged by look-ahead.
+   * Returns true when playback was paused.
+   */
+  respond(type, flashCount, options = {}) {
+    const { actions } = getResponseActions(this.getSettings(), {
+      type,
+      hostname: window.location.hostname,
+      live: this.live,
+      fullscreen: Boolean(document.fullscreenElement)
+    });
+
+    const now = Date.now();
+    const holdTime = options.holdTime || this.EPISODE_GAP;
+    const episodeStarted = now >= this.episodeUntil;
+    this.episodeUntil = Math.max(this.episodeUntil, now + holdTime);
+    const armed = !this.live || now >= this.cooldownUntil;
+    const canSkip = !this.live && Number.isFinite(this.video.duration);
+
+    const pause = actions.includes('pause') && armed && !this.warningShown;
+    if (pause) {
+      this.triggerWarning(type, flashCount, options.segment || null, actions);
+    }
+
+    if (actions.includes('mitigate') || (actions.includes('skip') && !canSkip)) {
+      this.mitigateHazard(holdTime);
+    }
+    if (actions.includes('mute')) {
+      this.muteHazard(holdTime);
+    }
+    if (actions.includes('skip') && canSkip && !pause && !this.video.seeking) {
+      const range = options.segment || this.getWarningSkipRange();
+      if (!this.isSkipUndone(range)) {
+        this.skipRange(range);
+      }
+    }
+
+    if (!episodeStarted) return pause;
+
+    if (!pause && actions.some(action => action !== 'pause')) {
+      this.reportWarningStats();
+    }
+    if (actions.includes('warn') && armed) {
+      speakWarning(type, flashCount, this.lastPattern);
+      document.dispatchEvent(new CustomEvent('flashResponded', {
+        detail: {
+          video: this.video,
+          type: type,
+          flashCount: flashCount,
+          live: this.live,
+          classification: this.lastClassification,
+          actions: actions
+        }
+      }));
+      if (this.live) {
+        this.startCooldown();
+      }
+    }
+    if (actions.includes('log')) {
+      logCaregiverEvent({ type, peak: flashCount, classification: this.lastClassification, live: this.live, actions });
+    }
+    if (actions.includes('close-tab')) {
+      requestTabClose();
+    }
+
+    return pause;
+  }
+
+  /**
+   * Hold off new live warnings and notices for the configured cooldown
+   */
+  startCooldown() {
+    this.cooldownUntil = Date.now() + this.getSettings().liveCooldown * 1000;
+  }
+
+  /**
+   * Add a hazard to the live hazard log, extending the latest episode if it's still going
+   */
+  logHazard(type, flashCount) {
+    const now = Date.now();
+    const last = this.hazardLog[this.hazardLog.length - 1];
+
+    if (last && last.type === type && now - last.end <= this.HAZARD_LOG_GAP) {
+      last.end = now;
+      last.peak = Math.max(last.peak, flashCount);
+      return;
+    }
+
+    this.hazardLog.push({ start: now, end: now, type, peak: flashCount, classification: this.lastClassification });
+    if (this.hazardLog.length > this.HAZARD_LOG_SIZE) {
+      this.hazardLog.shift();
+    }
+  }
+
+  /**
+   * Filter the video (or smooth it with safe render) while flashing lasts instead of pausing it
+   */
+  mitigateHazard(holdTime) {
+    this.guarding = false; // The response filter replaces the warm-up guard's
+    if (this.getSettings().mitigationFilter === 'smooth') {
+      this.safeRenderer.engage(holdTime);
+    } else {
+      this.mitigator.engage(this.getSettings().mitigationFilter, holdTime);
+    }
+  }
+
+  /**
+   * Keep safe render on for the whole of playback while it's the chosen filter
+   * Engaging it only once a hazard is found would show the start of every strobe unfiltered
+   */
+  updateSafeRender() {
+    if (this.onHazard || !this.isAnalyzing) return;
+
+    if (this.getSettings().mitigationFilter === 'smooth') {
+      this.safeRenderer.hold();
+    } else if (this.safeRenderer.held) {
+      this.safeRenderer.release();
+    }
+  }
+
+  /**
+   * Mute the video while the hazard lasts; a video the viewer muted stays as it is
+   */
+  muteHazard(holdTime) {
+    if (!this.mutedByHalo) {
+      if (this.video.muted) return;
+      this.video.muted = true;
+      this.mutedByHalo = true;
+    }
+
+    clearTimeout(this.unmuteTimer);
+    this.unmuteTimer = setTimeout(() => this.releaseMute(), holdTime);
+  }
+
+  /**
+   * Unmute a video muted by muteHazard
+   */
+  releaseMute() {
+    clearTimeout(this.unmuteTimer);
+    this.unmuteTimer = null;
+    if (this.mutedByHalo) {
+      this.mutedByHalo = false;
+      this.video.muted = false;
+    }
+  }
+
+  /**
+   * Extend the flagged range for this hazard; it is saved once the hazard has been quiet for a while
+   */
+  noteRisk(type, flashCount) {
+    const time = this.video.currentTime;
+    const pending = this.pendingRisk;
+
+    if (pending && pending.type === type && time >= pending.start && time - pending.end <= 1) {
+      pending.end = time;
+      pending.peak = Math.max(pending.peak, flashCount);
+    } else {
+      this.saveRisk();
+      // The counted flashes lie within the last second
+      this.pendingRisk = { start: Math.max(0, time - 1), end: time, type, peak: flashCount };
+      this.updateMarkers();
+    }
+
+    clearTimeout(this.riskSaveTimer);
+    this.riskSaveTimer = setTimeout(() => this.saveRisk(), 2000);
+  }
+
+  /**
+   * Save the pending flagged range to the video risk store
+   */
+  saveRisk() {
+    clearTimeout(this.riskSaveTimer);
+    this.riskSaveTimer = null;
+    if (!this.pendingRisk) return;
+
+    const hazard = this.pendingRisk;
+    this.pendingRisk = null;
+    this.mergeFlaggedRange(hazard);
+    this.updateMarkers();
+
+    if (!this.recordKey) return;
+
+    try {
+      chrome.runtime.sendMessage({
+        action: 'recordVideoRisk',
+        ...this.recordKey,
+        hazard
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+  }
+
+  /**
+   * Add a flagged range, merging it with a nearby range of the same type
+   */
+  mergeFlaggedRange(range) {
+    const existing = this.flaggedRanges.find(flagged =>
+      flagged.type === range.type &&
+      range.start <= flagged.end + 1 &&
+      range.end >= flagged.start - 1
+    );
+
+    if (existing) {
+      existing.start = Math.min(existing.start, range.start);
+      existing.end = Math.max(existing.end, range.end);
+      existing.peak = Math.max(existing.peak, range.peak);
+    } else {
+      this.flaggedRanges.push({ start: range.start, end: range.end, type: range.type, peak: range.peak });
+    }
+  }
+
+  /**
+   * Add ranges flagged on earlier visits (from the video risk store)
+   */
+  addKnownRanges(ranges) {
+    ranges.forEach(range => this.mergeFlaggedRange(range));
+    this.updateMarkers();
+  }
+
+  /**
+   * Show every flagged range on the seek bar: found here, remembered, and found by look-ahead
+   */
+  updateMarkers() {
+    const segments = this.flaggedRanges.slice();
+    if (this.pendingRisk) {
+      segments.push(this.pendingRisk);
+    }
+    if (this.lookAhead) {
+      segments.push(...this.lookAhead.segments);
+    }
+    this.markers.setSegments(segments);
+  }
+
+  /**
+   * Flagged range the playhead is at or about to enter, unless the viewer undid skipping it
+   */
+  getSkipRange(time) {
+    return this.flaggedRanges.find(range =>
+      !range.skipUndone && time >= range.start - this.SKIP_LEAD && time < range.end
+    ) || null;
+  }
+
+  /**
+   * Seek past a flagged range and announce it, so the notice can offer to undo
+   */
+  skipRange(range) {
+    const from = this.video.currentTime;
+    this.video.currentTime = range.end;
+
+    document.dispatchEvent(new CustomEvent('flashSkipped', {
+      detail: {
+        video: this.video,
+        range: range,
+        from: from,
+        skipped: range.end - from
+      }
+    }));
+  }
+
+  /**
+   * Range to skip from a warning: the flagged or upcoming range at the playhead, or the
+   * next SKIP_AHEAD seconds (live detection keeps running, so it warns again if flashing goes on)
+   */
+  getWarningSkipRange() {
+    const time = this.video.currentTime;
+    const upcoming = this.lookAhead && this.lookAhead.segments.find(segment =>
+      time < segment.end && segment.start - time <= this.LOOK_AHEAD_LEAD + 1
+    );
+    const range = this.getSkipRange(time) || upcoming;
+    if (range) {
+      return range;
+    }
+
+    const type = this.pendingRisk ? this.pendingRisk.type : 'general';
+    const end = Math.min(time + this.SKIP_AHEAD, this.video.duration);
+    return { start: time, end, type, peak: this.maxFlashesPerSecond };
+  }
+
+  /**
+   * Go back to where a skip started and stop skipping that range
+   */
+  undoSkip(range, from) {
+    range.skipUndone = true;
+    this.undoneSkip = range;
+    this.video.currentTime = from;
+  }
+
+  /**
+   * Whether the viewer undid skipping a range overlapping this one (policy skips make a new range each time)
+   */
+  isSkipUndone(range) {
+    const undone = this.undoneSkip;
+    return range.skipUndone || Boolean(undone && range.start < undone.end && range.end > undone.start);
+  }
+
+  /**
+   * Warn before playback about a video flagged on an earlier visit
+   */
+  warnKnownHazard(record) {
+    if (this.warningShown) return;
+
+    this.warningShown = true;
+    this.video.pause();
+
+    document.dispatchEvent(new CustomEvent('flashDetected', {
+      detail: {
+        type: record.type,
+        flashCount: record.peak,
+        maxFlashesPerSecond: record.peak,
+        totalFlashes: this.totalFlashes,
+        flashArea: this.maxFlashArea,
+        detectionMode: this.getSettings().detectionMode,
+        pattern: null,
+        known: true,
+        actions: ['pause'],
+        ranges: record.ranges,
+        timestamp: record.ranges[0].start,
+        video: this.video
+      }
+    }));
+  }
+
+  /**
+   * Remove any mitigation filter, warm-up guard or safe render canvas, and unmute, right away
+   */
+  releaseMitigation() {
+    this.guarded = false;
+    this.guarding = false;
+    this.mitigator.release();
+    this.safeRenderer.release();
+    this.releaseMute();
+  }
+
+  /**
+   * Report a warning and the flashes behind it to the popup stats
+   */
+  reportWarningStats() {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stat: 'warningIssued'
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+
+    // Report flashes detected - wrap in try-catch for extension context errors
+    try {
+      chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stat: 'flashDetected',
+        count: this.totalFlashes
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+  }
+
+  /**
+   * Trigger warning overlay
+   * upcomingSegment is set when the warning comes from look-ahead scanning; actions are
+   * the response actions running alongside the pause (see response-policy.js)
+   */
+  triggerWarning(type, flashCount, upcomingSegment = null, actions = ['pause']) {
+    // Report warning to popup - wrap in try-catch for extension context errors
+    if (this.warningShown) return;
+
+    this.warningShown = true;
+
+    // Pause video immediately
+    this.video.pause();
+
+    speakWarning(type, flashCount, this.lastPattern);
+
+    this.reportWarningStats();
+
+    // Dispatch custom event for warning UI
+    const warningEvent = new CustomEvent('flashDetected', {
+      detail: {
+        type: type,
+        flashCount: flashCount,
+        maxFlashesPerSecond: this.maxFlashesPerSecond,
+        totalFlashes: this.totalFlashes,
+        flashArea: this.maxFlashArea,
+        detectionMode: this.getSettings().detectionMode,
+        pattern: type === 'pattern' ? this.lastPattern : null,
+        classification: this.lastClassification,
+        timestamp: this.video.currentTime
+      }
+    });
+
+    // Show the warning overlay
+    this.showWarningOverlay(type, flashCount, upcomingSegment, actions);
+  }
+
+  /**
+   * Show warning overlay without incrementing stats
+   * Used when video was already warned but user seeks back
+   */
+  showWarningOverlay(type, flashCount, upcomingSegment = null, actions = ['pause']) {
+    const warningEvent = new CustomEvent('flashDetected', {
+      detail: {
+        type: type,
+        flashCount: flashCount,
+        maxFlashesPerSecond: upcomingSegment ? upcomingSegment.peak : this.maxFlashesPerSecond,
+        totalFlashes: this.totalFlashes,
+        flashArea: upcomingSegment ? upcomingSegment.flashArea : this.maxFlashArea,
+        detectionMode: this.getSettings().detectionMode,
+        pattern: type === 'pattern' ? this.lastPattern : null,
+        classification: upcomingSegment ? upcomingSegment.classification : this.lastClassification,
+        upcoming: upcomingSegment !== null,
+        timestamp: upcomingSegment ? upcomingSegment.start : this.video.currentTime,
+        actions: actions,
+        video: this.video
+      }
+    });
+
+    document.dispatchEvent(warningEvent);
+  }
+
+  /**
+   * Reset detection state (used when seeking or resuming after warning)
+   */
+  resetDetectionState() {
+    this.prevLuminance = null;
+    this.prevRegionLuminance = null;
+    this.prevRegionColors = null;
+    this.regionExtremes = null;
+    this.flashTimestamps = [];
+    this.redFlashTimestamps = [];
+    this.flashEvents = [];
+    this.pendingCuts = { general: null, red: null };
+    this.analyzedFrameCount = 0;
+    this.lastPresentedFrame = null;
+    this.stateGeneration++;
+    this.patternAnalyzer.reset();
+
+    // Warm-up starts over, so guard the video until there's a baseline again
+    this.guarded = this.getSettings().warmupGuard !== 'off';
+    this.guardStart = null;
+    if (!this.video.paused) {
+      this.holdGuard();
+    }
+  }
+
+  /**
+   * Start detection
+   */
+  start() {
+    if (this.isAnalyzing) return;
+
+    this.isAnalyzing = true;
+    this.warningShown = false;
+    this.totalFlashes = 0;
+    this.maxFlashesPerSecond = 0;
+    this.maxFlashArea = 0;
+    this.resetDetectionState();
+    this.updateSafeRender();
+
+    this.scheduleFrame();
+  }
+
+  /**
+   * Stop detection
+   */
+  stop() {
+    this.isAnalyzing = false;
+    this.cancelFrame();
+    this.saveRisk();
+    this.safeRenderer.release();
+
+    // Sampling is measured again once playback resumes
+    this.samples = [];
+    this.setDegraded(false);
+  }
+
+  /**
+   * Reset warning state (allow video to continue)
+   */
+  resetWarning() {
+    this.warningShown = false;
+    this.resetDetectionState();
+  }
+}
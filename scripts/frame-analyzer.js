@@ -0,0 +1,159 @@
+/**
+ * Halo - Frame Analyzer
+ * Sends downscaled video frames to a dedicated Worker so per-pixel analysis
+ * stays off the page's main thread
+ *
+ * Content scripts can't start a Worker from an extension URL, so the worker is built
+ * from a Blob of its source files. Pages whose CSP blocks blob: workers fall back to
+ * analyzing on the main thread with the same FrameMetrics code.
+ */
+
+class FrameAnalyzer {
+  static shared = null;
+
+  constructor() {
+    this.WORKER_FILES = ['scripts/frame-metrics.js', 'scripts/pattern-analyzer.js', 'scripts/frame-worker.js'];
+
+    this.worker = null;
+    this.pending = new Map(); // Message id -> { resolve, reject }
+    this.nextId = 0;
+    this.workerReady = this.startWorker();
+
+    // Main-thread fallback, created on first use
+    this.canvas = null;
+    this.ctx = null;
+    this.patternAnalyzer = null;
+  }
+
+  /**
+   * One analyzer (and worker) per page, shared by every detector
+   */
+  static getShared() {
+    if (!FrameAnalyzer.shared) {
+      FrameAnalyzer.shared = new FrameAnalyzer();
+    }
+    return FrameAnalyzer.shared;
+  }
+
+  /**
+   * Build the worker from its source files
+   * Resolves to true once it is running, false when the page doesn't allow it
+   */
+  async startWorker() {
+    let url;
+    try {
+      const sources = await Promise.all(this.WORKER_FILES.map(file =>
+        fetch(chrome.runtime.getURL(file)).then(response => response.text())
+      ));
+      url = URL.createObjectURL(new Blob([sources.join('\n;\n')], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+
+      return await new Promise(resolve => {
+        worker.onmessage = (event) => {
+          if (!event.data.ready) return;
+
+          URL.revokeObjectURL(url);
+          worker.onmessage = (message) => this.handleMessage(message.data);
+          worker.onerror = () => this.handleWorkerFailure();
+          this.worker = worker;
+          resolve(true);
+        };
+        worker.onerror = () => {
+          // Blocked by the page's CSP or failed to load
+          URL.revokeObjectURL(url);
+          worker.terminate();
+          resolve(false);
+        };
+      });
+    } catch (error) {
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Analyze the current frame of a video (or a bitmap captured from it), downscaled to width x height
+   * Resolves to { regionColors, pattern }; rejects with a SecurityError for cross-origin frames
+   */
+  async analyze(source, width, height, columns, rows) {
+    await this.workerReady;
+
+    if (!this.worker) {
+      return this.analyzeOnMainThread(source, width, height, columns, rows);
+    }
+
+    // Downscaling happens in the browser's image pipeline, not in page JavaScript
+    const bitmap = await createImageBitmap(source, {
+      resizeWidth: width,
+      resizeHeight: height,
+      resizeQuality: 'low'
+    });
+
+    if (!this.worker) {
+      bitmap.close();
+      return this.analyzeOnMainThread(source, width, height, columns, rows);
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      try {
+        this.worker.postMessage({ id, bitmap, columns, rows }, [bitmap]);
+        this.pending.set(id, { resolve, reject });
+      } catch (error) {
+        // A bitmap of a cross-origin video isn't origin-clean and can't be transferred
+        bitmap.close();
+        reject(error.name === 'DataCloneError' ? new DOMException('Frame is cross-origin', 'SecurityError') : error);
+      }
+    });
+  }
+
+  /**
+   * Resolve the request a worker reply belongs to
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) return;
+
+    this.pending.delete(data.id);
+    if (data.error) {
+      request.reject(new DOMException('Frame could not be analyzed', data.error));
+    } else {
+      request.resolve({ regionColors: data.regionColors, pattern: data.pattern });
+    }
+  }
+
+  /**
+   * The worker crashed: fail what's in flight and analyze on the main thread from now on
+   */
+  handleWorkerFailure() {
+    this.worker.terminate();
+    this.worker = null;
+    this.pending.forEach(request => request.reject(new DOMException('Frame analysis worker failed', 'AbortError')));
+    this.pending.clear();
+  }
+
+  /**
+   * Same analysis as the worker, for pages that don't allow it
+   */
+  analyzeOnMainThread(source, width, height, columns, rows) {
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+      this.patternAnalyzer = new PatternAnalyzer();
+    }
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    // Throws a SecurityError if the canvas is tainted (CORS issue)
+    this.ctx.drawImage(source, 0, 0, width, height);
+    const imageData = this.ctx.getImageData(0, 0, width, height);
+
+    return {
+      regionColors: FrameMetrics.calculateRegionColors(imageData, columns, rows),
+      pattern: this.patternAnalyzer.measure(imageData)
+    };
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Halo - Frame Metrics
+ * Per-pixel measurements shared by the content script and the frame analysis worker
+ * Uses a lookup table and typed arrays instead of Math.pow per sampled pixel
+ */
+
+const FrameMetrics = {
+  // sRGB channel value (0-255) to linear RGB, using the sRGB formula from WCAG
+  LINEAR_TABLE: (() => {
+    const table = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      const c = i / 255;
+      table[i] = c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+    return table;
+  })(),
+
+  /**
+   * Calculate the mean linear RGB of each region in a columns x rows grid
+   * Returned as [r, g, b] triples, one per region, in row-major order
+   */
+  calculateRegionColors(imageData, columns, rows) {
+    const { data, width, height } = imageData;
+    const table = FrameMetrics.LINEAR_TABLE;
+    const regionCount = columns * rows;
+    const totals = new Float32Array(regionCount * 3);
+    const counts = new Uint32Array(regionCount);
+
+    // Region column of every sampled x, computed once per frame instead of per pixel
+    const regionColumns = new Uint16Array(width);
+    for (let x = 0; x < width; x++) {
+      regionColumns[x] = Math.floor(x * columns / width);
+    }
+
+    // Sample every 2nd pixel in each direction (every 4th pixel overall)
+    for (let y = 0; y < height; y += 2) {
+      const rowOffset = Math.floor(y * rows / height) * columns;
+
+      for (let x = 0; x < width; x += 2) {
+        const i = (y * width + x) * 4;
+        const region = rowOffset + regionColumns[x];
+        totals[region * 3] += table[data[i]];
+        totals[region * 3 + 1] += table[data[i + 1]];
+        totals[region * 3 + 2] += table[data[i + 2]];
+        counts[region]++;
+      }
+    }
+
+    for (let region = 0; region < regionCount; region++) {
+      const count = counts[region] || 1;
+      totals[region * 3] /= count;
+      totals[region * 3 + 1] /= count;
+      totals[region * 3 + 2] /= count;
+    }
+
+    return totals;
+  }
+};
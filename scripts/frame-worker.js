@@ -0,0 +1,37 @@
+/**
+ * Halo - Frame Analysis Worker
+ * Runs the per-pixel work for FlashDetector off the page's main thread
+ *
+ * Loaded as a Blob together with frame-metrics.js and pattern-analyzer.js (see FrameAnalyzer).
+ * Receives downscaled ImageBitmaps and replies with region colors and pattern measurements;
+ * everything that needs state between frames stays with the detector.
+ */
+
+const patternAnalyzer = new PatternAnalyzer();
+let canvas = null;
+let ctx = null;
+
+self.onmessage = (event) => {
+  const { id, bitmap, columns, rows } = event.data;
+
+  try {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+      canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    ctx.drawImage(bitmap, 0, 0);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const regionColors = FrameMetrics.calculateRegionColors(imageData, columns, rows);
+    const pattern = patternAnalyzer.measure(imageData);
+
+    self.postMessage({ id, regionColors, pattern }, [regionColors.buffer]);
+  } catch (error) {
+    // SecurityError when the video is cross-origin and the frame is tainted
+    self.postMessage({ id, error: error.name });
+  } finally {
+    bitmap.close();
+  }
+};
+
+self.postMessage({ ready: true });
@@ -0,0 +1,458 @@
+/**
+ * Halo - Animated Image Scanner
+ * Decodes the frames of animated GIF, APNG, WebP and AVIF images with ImageDecoder before
+ * they're shown, and runs them through the same flash criteria as videos
+ *
+ * Images are hidden while they're scanned, from the moment their file header shows they can
+ * animate and for at most HOLD_TIMEOUT; still images are never hidden and only their first
+ * bytes are read. One that fails is replaced with its first frame and a
+ * click-to-play badge. Images the content script can't fetch (no CORS) are fetched by the
+ * background worker on sites Halo has access to, and shown unchecked elsewhere.
+ */
+
+class ImageScanner {
+  constructor(getProtectionEnabled, getSettings) {
+    this.getProtectionEnabled = getProtectionEnabled;
+    this.getSettings = getSettings;
+
+    // Scanning parameters
+    this.MAX_CONCURRENT = 2; // Images decoded at once
+    this.MAX_FRAMES = 500; // Frames decoded per image
+    this.MAX_BYTES = 8 * 1024 * 1024; // Larger images aren't scanned
+    this.HOLD_TIMEOUT = 3000; // Show the image anyway if the scan takes longer (it can still be blocked after)
+    this.MIN_FRAME_DURATION = 20; // ms; browsers play shorter GIF delays at DEFAULT_FRAME_DURATION
+    this.DEFAULT_FRAME_DURATION = 100; // ms
+    this.HEADER_BYTES = 4096; // Bytes read to tell whether an image can animate
+    this.STATIC_EXTENSIONS = /\.(jpe?g|svg|bmp|ico)([?#]|$)/i; // Formats that can't animate
+    this.STATIC_TYPES = /^image\/(jpeg|svg\+xml|bmp|x-icon|vnd\.microsoft\.icon)\b/i; // Content-Types that can't animate
+
+    // State tracking
+    this.scanned = new WeakMap(); // img -> URL it was scanned (or blocked) for
+    this.allowed = new WeakSet(); // Images the viewer chose to play
+    this.cleared = new Set(); // URLs found still or safe, not fetched again on this page
+    this.queue = [];
+    this.activeScans = 0;
+    this.observer = null;
+  }
+
+  /**
+   * Whether this browser can decode image frames
+   */
+  static isSupported() {
+    return typeof ImageDecoder !== 'undefined';
+  }
+
+  /**
+   * Scan the images already on the page and watch for new ones
+   */
+  start() {
+    if (this.observer || !ImageScanner.isSupported()) return;
+
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['src', 'srcset']
+    });
+
+    Array.from(document.images).forEach(img => this.enqueue(img));
+  }
+
+  /**
+   * Stop watching for images; blocked images stay blocked until clicked
+   */
+  stop() {
+    if (!this.observer) return;
+
+    this.observer.disconnect();
+    this.observer = null;
+    this.queue = [];
+  }
+
+  /**
+   * Queue inserted images and images whose source changed
+   */
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        if (mutation.target.tagName === 'IMG') {
+          this.enqueue(mutation.target);
+        }
+        return;
+      }
+
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.tagName === 'IMG') {
+          this.enqueue(node);
+        } else {
+          node.querySelectorAll('img').forEach(img => this.enqueue(img));
+        }
+      });
+    });
+  }
+
+  /**
+   * Queue an image that may be animated for scanning (it's hidden once scan() reads its header)
+   */
+  enqueue(img) {
+    if (this.allowed.has(img) || !this.getProtectionEnabled()) return;
+
+    const url = img.currentSrc || img.src;
+    if (!url) {
+      // srcset images pick their source later
+      img.addEventListener('load', () => this.enqueue(img), { once: true });
+      return;
+    }
+    // currentSrc lags behind a src change, so the first frame set by block() is checked on src
+    const scannedUrl = this.scanned.get(img);
+    if (scannedUrl === url || scannedUrl === img.src || this.STATIC_EXTENSIONS.test(url) ||
+        this.cleared.has(url) || this.queue.includes(img)) {
+      return;
+    }
+
+    this.scanned.set(img, url);
+    this.queue.push(img);
+    this.runQueue();
+  }
+
+  /**
+   * Start queued scans up to MAX_CONCURRENT
+   */
+  runQueue() {
+    while (this.activeScans < this.MAX_CONCURRENT && this.queue.length > 0) {
+      const img = this.queue.shift();
+      this.activeScans++;
+
+      this.scan(img).finally(() => {
+        this.activeScans--;
+        this.runQueue();
+      });
+    }
+  }
+
+  /**
+   * Fetch, decode and check one image, blocking it if it fails
+   */
+  async scan(img) {
+    const url = this.scanned.get(img);
+    let holding = true;
+    const holdTimer = setTimeout(() => {
+      holding = false;
+      img.classList.remove('halo-image-pending');
+    }, this.HOLD_TIMEOUT);
+
+    try {
+      const image = await this.fetchImage(url, () => {
+        if (holding) {
+          img.classList.add('halo-image-pending');
+        }
+      });
+      const hazard = image && await this.analyze(img, image);
+      if (!hazard) {
+        this.cleared.add(url);
+      }
+
+      // The page may have changed the source while it was scanned
+      if (hazard && this.scanned.get(img) === url && this.getProtectionEnabled()) {
+        await this.block(img, image, hazard);
+      }
+    } catch (error) {
+      // Images that can't be fetched or decoded are shown as they are
+    } finally {
+      clearTimeout(holdTimer);
+      img.classList.remove('halo-image-pending');
+    }
+  }
+
+  /**
+   * Image bytes and MIME type, or null when the image is still, too large or can't be decoded
+   * onAnimated is called once the file header shows the image can animate.
+   * Falls back to the background worker when CORS keeps the page from reading the image
+   */
+  async fetchImage(url, onAnimated) {
+    let data;
+    let type;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return null;
+      type = response.headers.get('Content-Type');
+      if (this.STATIC_TYPES.test(type || '')) {
+        response.body.cancel();
+        return null;
+      }
+      data = await this.readImage(response, onAnimated);
+      if (!data) return null;
+    } catch (error) {
+      const response = await chrome.runtime.sendMessage({ action: 'fetchImage', url, maxBytes: this.MAX_BYTES });
+      if (!response || !response.success) return null;
+      data = Uint8Array.from(atob(response.data), c => c.charCodeAt(0)).buffer;
+      type = response.type;
+      if (!ImageScanner.mayAnimate(new Uint8Array(data))) return null;
+      onAnimated();
+    }
+
+    if (data.byteLength > this.MAX_BYTES) return null;
+
+    type = ImageScanner.sniffType(data) || (type || '').split(';')[0].trim();
+    if (!type || !await ImageDecoder.isTypeSupported(type)) return null;
+
+    return { data, type };
+  }
+
+  /**
+   * Read a response body, stopping after its first HEADER_BYTES when they show a still image
+   * Resolves to the bytes, or null for still and oversized images
+   */
+  async readImage(response, onAnimated) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    let checked = false;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      length += value.length;
+      if (length > this.MAX_BYTES) {
+        reader.cancel();
+        return null;
+      }
+
+      if (!checked && length >= this.HEADER_BYTES) {
+        checked = true;
+        if (!ImageScanner.mayAnimate(ImageScanner.concat(chunks, length))) {
+          reader.cancel();
+          return null;
+        }
+        onAnimated();
+      }
+    }
+
+    const bytes = ImageScanner.concat(chunks, length);
+    if (!checked && !ImageScanner.mayAnimate(bytes)) return null;
+    return bytes.buffer;
+  }
+
+  /**
+   * Join byte chunks into one array
+   */
+  static concat(chunks, length) {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  }
+
+  /**
+   * Whether a file's first bytes show an image that can animate
+   * GIFs always can; PNGs need an acTL chunk (APNG), WebPs the VP8X animation flag and
+   * AVIFs an image sequence brand. Headers cut off before they tell count as animated.
+   */
+  static mayAnimate(bytes) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    const readUint32 = offset => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+    if (ascii(0, 4) === 'GIF8') return true;
+
+    if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+      // acTL has to come before the first IDAT
+      for (let offset = 8; offset + 8 <= bytes.length; offset += readUint32(offset) + 12) {
+        const chunk = ascii(offset + 4, offset + 8);
+        if (chunk === 'acTL') return true;
+        if (chunk === 'IDAT') return false;
+      }
+      return true;
+    }
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+      return ascii(12, 16) === 'VP8X' && (bytes.length <= 20 || (bytes[20] & 0x02) !== 0);
+    }
+
+    if (ascii(4, 8) === 'ftyp') {
+      // Major brand, then compatible brands to the end of the ftyp box
+      const boxEnd = Math.min(readUint32(0), bytes.length);
+      for (let offset = 8; offset + 4 <= boxEnd; offset += offset === 8 ? 8 : 4) {
+        if (ascii(offset, offset + 4) === 'avis') return true;
+      }
+      return false;
+    }
+
+    return false;
+  }
+
+  /**
+   * MIME type from the file signature, for servers that send a wrong or generic Content-Type
+   */
+  static sniffType(data) {
+    const bytes = new Uint8Array(data, 0, Math.min(data.byteLength, 12));
+    const ascii = String.fromCharCode(...bytes);
+
+    if (ascii.startsWith('GIF8')) return 'image/gif';
+    if (bytes[0] === 0x89 && ascii.slice(1, 4) === 'PNG') return 'image/png'; // Also APNG
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii.slice(4, 12) === 'ftypavis' || ascii.slice(4, 12) === 'ftypavif') return 'image/avif';
+    return null;
+  }
+
+  /**
+   * Run the image's frames through a FlashDetector, each at its own duration
+   * Resolves to { type, flashCount } for the first hazard found, or null
+   */
+  async analyze(img, image) {
+    const decoder = new ImageDecoder({ data: image.data, type: image.type });
+
+    try {
+      await decoder.tracks.ready;
+      const track = decoder.tracks.selectedTrack;
+      if (!track || !track.animated) return null;
+      await decoder.completed;
+
+      let hazard = null;
+      const detector = new FlashDetector(img, null, new Set(), this.getProtectionEnabled, this.getSettings);
+      detector.WARMUP_FRAMES = 0; // Decoded frames have no loading period
+      detector.onHazard = (type, flashCount) => {
+        hazard = hazard || { type, flashCount };
+      };
+
+      const frames = [];
+      const frameCount = Math.min(track.frameCount, this.MAX_FRAMES);
+      for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+        const { image: frame } = await decoder.decode({ frameIndex });
+        try {
+          const width = Math.min(frame.displayWidth, 640);
+          const height = Math.min(frame.displayHeight, 360);
+          const metrics = await FrameAnalyzer.getShared()
+            .analyze(frame, width, height, detector.GRID_COLUMNS, detector.GRID_ROWS);
+          frames.push({ metrics, duration: this.getFrameDuration(frame) });
+        } finally {
+          frame.close();
+        }
+      }
+
+      // A looping image flashes across the loop point too, so play it until a full
+      // detection window past the end has been seen
+      const loopDuration = frames.reduce((total, frame) => total + frame.duration, 0);
+      const endTime = track.repetitionCount > 0 ? loopDuration + detector.DETECTION_WINDOW : loopDuration;
+      let time = 0;
+      for (let i = 0; time < endTime && !hazard; i++) {
+        const frame = frames[i % frames.length];
+        detector.processFrame(frame.metrics, time);
+        time += frame.duration;
+      }
+
+      return hazard;
+    } finally {
+      decoder.close();
+    }
+  }
+
+  /**
+   * How long a frame is shown, in ms, with the browser's clamping of very short GIF delays
+   */
+  getFrameDuration(frame) {
+    const duration = frame.duration === null ? 0 : frame.duration / 1000; // Microseconds
+    return duration < this.MIN_FRAME_DURATION ? this.DEFAULT_FRAME_DURATION : duration;
+  }
+
+  /**
+   * Replace an image with its first frame and a click-to-play hazard badge
+   */
+  async block(img, image, hazard) {
+    const decoder = new ImageDecoder({ data: image.data, type: image.type });
+    let firstFrameUrl;
+
+    try {
+      const { image: frame } = await decoder.decode({ frameIndex: 0 });
+      const canvas = document.createElement('canvas');
+      canvas.width = frame.displayWidth;
+      canvas.height = frame.displayHeight;
+      canvas.getContext('2d').drawImage(frame, 0, 0);
+      frame.close();
+      firstFrameUrl = URL.createObjectURL(await new Promise(resolve => canvas.toBlob(resolve)));
+    } finally {
+      decoder.close();
+    }
+
+    // <source> elements in a <picture> would override the img's own source
+    const sources = img.parentElement && img.parentElement.tagName === 'PICTURE'
+      ? Array.from(img.parentElement.querySelectorAll('source'))
+      : [];
+    const original = {
+      src: img.getAttribute('src'),
+      srcset: img.getAttribute('srcset'),
+      sources: sources.map(source => source.getAttribute('srcset'))
+    };
+
+    this.scanned.set(img, firstFrameUrl);
+    sources.forEach(source => source.removeAttribute('srcset'));
+    img.removeAttribute('srcset');
+    img.src = firstFrameUrl;
+
+    const badge = document.createElement('button');
+    badge.className = 'halo-image-badge';
+    badge.textContent = `⚠ ${ImageScanner.describe(hazard)} · Click to play`;
+    badge.setAttribute('aria-label', `${ImageScanner.describe(hazard)} in this image. Click to play it`);
+    img.after(badge);
+    ImageScanner.positionBadge(img, badge);
+
+    badge.addEventListener('click', (event) => {
+      // Badges often sit inside links
+      event.preventDefault();
+      event.stopPropagation();
+
+      this.allowed.add(img);
+      badge.remove();
+      sources.forEach((source, i) => source.setAttribute('srcset', original.sources[i]));
+      if (original.srcset !== null) {
+        img.setAttribute('srcset', original.srcset);
+      }
+      if (original.src !== null) {
+        img.setAttribute('src', original.src);
+      } else {
+        img.removeAttribute('src');
+      }
+      URL.revokeObjectURL(firstFrameUrl);
+    });
+
+    this.reportBlocked();
+  }
+
+  /**
+   * Put the badge over the image's top-left corner (both share the same offset parent)
+   */
+  static positionBadge(img, badge) {
+    badge.style.left = `${img.offsetLeft + 4}px`;
+    badge.style.top = `${img.offsetTop + 4}px`;
+  }
+
+  /**
+   * Badge text for a hazard
+   */
+  static describe(hazard) {
+    if (hazard.type === 'pattern') return getHazardName(hazard.type);
+    return `${getHazardName(hazard.type)} (${hazard.flashCount}/s)`;
+  }
+
+  /**
+   * Count a blocked image as a warning in the popup stats
+   */
+  reportBlocked() {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stat: 'warningIssued'
+      }).then(response => {
+      }).catch(error => {
+      });
+    } catch (error) {
+    }
+  }
+}
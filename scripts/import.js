@@ -0,0 +1,34 @@
+/**
+ * Halo - Segment List Import Page
+ * Reads a segment list file and hands it to the background worker (format in segment-list.js)
+ *
+ * Import runs in its own tab because Chrome closes the toolbar popup as soon as a file
+ * chooser opens, which would drop the file before it's read.
+ */
+
+// Import a segment list; valid entries are merged and the rest are reported
+document.getElementById('importSegmentsFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = ''; // Allow importing the same file again
+  if (!file) return;
+
+  const message = document.getElementById('importMessage');
+  const text = await file.text();
+
+  chrome.runtime.sendMessage({ action: 'importSegmentList', text }, (response) => {
+    if (!response || !response.success) {
+      message.textContent = `Import failed: ${response?.error || 'no response'}`;
+      return;
+    }
+
+    const imported = `Imported ${response.imported} ${response.imported === 1 ? 'video' : 'videos'}`;
+    if (response.errors.length === 0) {
+      message.textContent = imported;
+      return;
+    }
+
+    const shown = response.errors.slice(0, 3).join('; ');
+    const more = response.errors.length > 3 ? ` and ${response.errors.length - 3} more` : '';
+    message.textContent = `${imported}. Skipped ${response.errors.length} ${response.errors.length === 1 ? 'entry' : 'entries'}: ${shown}${more}`;
+  });
+});
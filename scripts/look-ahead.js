@@ -0,0 +1,209 @@
+/**
+ * Halo - Look-Ahead Scanner
+ * Decodes the same source a few seconds ahead of the playhead in a hidden, muted clone
+ * of the video, so flashing segments are flagged before the viewer reaches them
+ *
+ * Only sources a second element can load are scanned (regular files and URLs).
+ * Players that stream through MediaSource (blob: URLs) or a srcObject can't be cloned
+ * and keep relying on live detection.
+ */
+
+class LookAheadScanner {
+  constructor(video, getProtectionEnabled, getSettings) {
+    this.video = video;
+
+    // Scanning parameters
+    this.LOOK_AHEAD_SECONDS = 5; // How far ahead of the playhead the clone should stay
+    this.SCAN_RATE = 2; // Clone playback rate while it builds up its lead
+    this.MERGE_GAP = 1; // Hazards less than 1s apart become one segment
+
+    this.segments = []; // { start, end, type, peak, flashArea, acknowledged } in media seconds
+    this.clone = null;
+    this.detector = null;
+    this.getProtectionEnabled = getProtectionEnabled;
+    this.getSettings = getSettings;
+    this.onSegmentsChanged = null; // Called after a segment is added or grown
+
+    // Bound once so the listeners can be removed again
+    this.handlePlay = () => this.sync();
+    this.handlePause = () => this.sync();
+    this.handleSeeking = () => this.handleMainSeek();
+    this.handleRateChange = () => this.sync();
+    this.handleCloneProgress = () => this.sync();
+  }
+
+  /**
+   * Whether a second element can load this video's source
+   */
+  static canScan(video) {
+    const src = video.currentSrc || video.src;
+    return Boolean(src) && !src.startsWith('blob:') && !video.srcObject;
+  }
+
+  /**
+   * Create the hidden clone and start scanning
+   */
+  start() {
+    if (this.clone) return;
+
+    const clone = document.createElement('video');
+    clone.muted = true;
+    clone.playsInline = true;
+    clone.preload = 'auto';
+    if (this.video.crossOrigin) {
+      clone.crossOrigin = this.video.crossOrigin;
+    }
+    clone.src = this.video.currentSrc || this.video.src;
+    clone.dataset.haloLookAhead = 'true'; // Keeps the clone out of findAndMonitorVideos
+    clone.setAttribute('aria-hidden', 'true');
+    Object.assign(clone.style, {
+      position: 'fixed',
+      left: '-10px',
+      top: '-10px',
+      width: '1px',
+      height: '1px',
+      opacity: '0',
+      pointerEvents: 'none'
+    });
+    document.body.appendChild(clone);
+    this.clone = clone;
+
+    // Same analysis as the visible video, but hazards become segments instead of warnings
+    this.detector = new FlashDetector(clone, null, new Set(), this.getProtectionEnabled, this.getSettings);
+    this.detector.displayVideo = this.video; // Flash area depends on the size the viewer sees
+    this.detector.skipFrames = 1; // Analyze every decoded frame
+    this.detector.onHazard = (type, flashCount) => this.recordSegment(type, flashCount);
+
+    clone.addEventListener('play', () => this.detector.start());
+    clone.addEventListener('pause', () => this.detector.stop());
+    clone.addEventListener('seeking', () => this.detector.resetDetectionState());
+    clone.addEventListener('timeupdate', this.handleCloneProgress);
+    clone.addEventListener('loadedmetadata', () => {
+      clone.currentTime = this.video.currentTime;
+      this.sync();
+    }, { once: true });
+
+    this.video.addEventListener('play', this.handlePlay);
+    this.video.addEventListener('pause', this.handlePause);
+    this.video.addEventListener('seeking', this.handleSeeking);
+    this.video.addEventListener('ratechange', this.handleRateChange);
+  }
+
+  /**
+   * Remove the clone and stop scanning
+   */
+  stop() {
+    if (!this.clone) return;
+
+    this.video.removeEventListener('play', this.handlePlay);
+    this.video.removeEventListener('pause', this.handlePause);
+    this.video.removeEventListener('seeking', this.handleSeeking);
+    this.video.removeEventListener('ratechange', this.handleRateChange);
+
+    this.detector.stop();
+    this.clone.pause();
+    this.clone.removeAttribute('src');
+    this.clone.load();
+    this.clone.remove();
+    this.clone = null;
+    this.detector = null;
+  }
+
+  /**
+   * Apply new sensitivity thresholds to the clone's detector, which keeps analyzing every frame
+   */
+  applySensitivity(sensitivity) {
+    if (!this.detector) return;
+
+    this.detector.applySensitivity(sensitivity);
+    this.detector.skipFrames = 1;
+  }
+
+  /**
+   * Keep the clone LOOK_AHEAD_SECONDS ahead of the playhead
+   */
+  sync() {
+    const clone = this.clone;
+    if (!clone || clone.readyState < 1) return;
+
+    const lead = clone.currentTime - this.video.currentTime;
+
+    // The viewer jumped past the scanned range, or far behind it
+    if (lead < 0 || lead > this.LOOK_AHEAD_SECONDS * 3) {
+      clone.currentTime = this.video.currentTime;
+    }
+
+    const hasLead = lead >= this.LOOK_AHEAD_SECONDS;
+    const rate = hasLead ? this.video.playbackRate : Math.max(this.SCAN_RATE, this.video.playbackRate);
+    if (clone.playbackRate !== rate) {
+      clone.playbackRate = rate;
+    }
+
+    // Scan ahead while the viewer is paused, then wait once the lead is built up
+    const shouldPlay = !clone.ended && (!hasLead || !this.video.paused);
+    if (shouldPlay && clone.paused) {
+      clone.play().catch(() => {
+        // Autoplay can be refused; live detection still covers the video
+      });
+    } else if (!shouldPlay && !clone.paused) {
+      clone.pause();
+    }
+  }
+
+  /**
+   * Re-arm segments ahead of a seek and move the clone with the viewer
+   */
+  handleMainSeek() {
+    const time = this.video.currentTime;
+    this.segments.forEach(segment => {
+      if (segment.start > time) {
+        segment.acknowledged = false;
+      }
+    });
+    this.sync();
+  }
+
+  /**
+   * Record a hazard found by the clone, merging it into a nearby segment of the same type
+   */
+  recordSegment(type, flashCount) {
+    const end = this.clone.currentTime;
+    const start = Math.max(0, end - 1); // The counted flashes lie within the last second
+
+    const existing = this.segments.find(segment =>
+      segment.type === type &&
+      start <= segment.end + this.MERGE_GAP &&
+      end >= segment.start - this.MERGE_GAP
+    );
+
+    if (existing) {
+      existing.start = Math.min(existing.start, start);
+      existing.end = Math.max(existing.end, end);
+      existing.peak = Math.max(existing.peak, flashCount);
+      existing.flashArea = Math.max(existing.flashArea, this.detector.maxFlashArea);
+    } else {
+      this.segments.push({
+        start,
+        end,
+        type,
+        peak: flashCount,
+        flashArea: this.detector.maxFlashArea,
+        classification: this.detector.lastClassification, // See FlashDetector.classifyHazard
+        acknowledged: false
+      });
+    }
+
+    if (this.onSegmentsChanged) {
+      this.onSegmentsChanged();
+    }
+  }
+
+  /**
+   * First unacknowledged segment starting within `lead` seconds of `time`, or already under way
+   */
+  getSegmentAhead(time, lead) {
+    return this.segments.find(segment =>
+      !segment.acknowledged && time >= segment.start - lead && time < segment.end
+    ) || null;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Halo - Video Mitigation
+ * Reduces flashing on a video with CSS filters instead of pausing it
+ *
+ * Filters engage quickly while flashing is detected and ease off once it stops,
+ * so the viewer can keep watching with the hazard reduced.
+ */
+
+class VideoMitigator {
+  static FILTERS = {
+    compress: 'brightness(0.6) contrast(0.7)', // Luminance compression: lower peaks, narrower range
+    contrast: 'contrast(0.4)', // Contrast reduction
+    red: 'url(#halo-red-attenuation)', // Red-channel attenuation (SVG color matrix)
+    blur: 'blur(12px)',
+    grayscale: 'grayscale(1)',
+    dim: 'brightness(0.5) contrast(0.6) blur(8px)', // Warm-up guard (see FlashDetector.holdGuard)
+    cover: 'brightness(0)' // Warm-up guard that blacks the picture out
+  };
+
+  constructor(video) {
+    this.video = video;
+
+    // Timing parameters
+    this.HOLD_TIME = 2000; // Keep the filter this many ms after the last detected flash
+    this.ENGAGE_TRANSITION = 0.1; // Seconds to fade the filter in
+    this.RELEASE_TRANSITION = 1.5; // Seconds to ease it back off
+
+    // State tracking
+    this.active = false;
+    this.releaseTimer = null;
+    this.originalFilter = null; // Inline filter the page had set, restored on release
+    this.originalTransition = null;
+  }
+
+  /**
+   * Apply (or keep applying) a filter; it is released after holdTime ms without another call
+   */
+  engage(filterName, holdTime = this.HOLD_TIME) {
+    const filter = VideoMitigator.FILTERS[filterName] || VideoMitigator.FILTERS.compress;
+    if (filterName === 'red') {
+      VideoMitigator.ensureRedFilter();
+    }
+
+    if (!this.active) {
+      this.originalFilter = {
+        value: this.video.style.getPropertyValue('filter'),
+        priority: this.video.style.getPropertyPriority('filter')
+      };
+      this.originalTransition = this.video.style.transition;
+      this.active = true;
+    }
+
+    // !important so site stylesheets can't undo the mitigation
+    this.video.style.transition = `filter ${this.ENGAGE_TRANSITION}s ease-out`;
+    this.video.style.setProperty('filter', filter, 'important');
+
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = setTimeout(() => this.release(), holdTime);
+  }
+
+  /**
+   * Ease the filter off and restore the video's own styles
+   */
+  release() {
+    if (!this.active) return;
+
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
+    this.active = false;
+
+    this.video.style.transition = `filter ${this.RELEASE_TRANSITION}s ease-in`;
+    this.video.style.setProperty('filter', this.originalFilter.value, this.originalFilter.priority);
+
+    setTimeout(() => {
+      if (!this.active) {
+        this.video.style.transition = this.originalTransition;
+      }
+    }, this.RELEASE_TRANSITION * 1000);
+  }
+
+  /**
+   * Add the SVG filter used for red-channel attenuation to the page, once
+   */
+  static ensureRedFilter() {
+    if (document.getElementById('halo-red-attenuation')) return;
+
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNamespace, 'svg');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.position = 'absolute';
+
+    const filter = document.createElementNS(svgNamespace, 'filter');
+    filter.id = 'halo-red-attenuation';
+
+    // Scale the red channel to 40% and leave green, blue and alpha alone
+    const matrix = document.createElementNS(svgNamespace, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    matrix.setAttribute('values', '0.4 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 1 0');
+
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+    document.body.appendChild(svg);
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * Halo Offscreen Document
- * Handles audio playback for the extension
+ * Handles audio playback and tab capture analysis for the extension
  */
 
 let audioElement = null;
@@ -68,6 +68,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'startCaptureAnalysis') {
+    startCaptureAnalysis(request.streamId, request.tabId, request.settings).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('[Halo Offscreen] Error starting tab capture:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === 'stopCaptureAnalysis') {
+    stopCaptureAnalysis();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === 'updateCaptureSettings') {
+    if (capture) {
+      captureSettings = request.settings;
+      capture.detector.applySensitivity(getSensitivity(captureSettings));
+      capture.detector.resetDetectionState();
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+
   if (request.action === 'getAudioState') {
     const playing = audioElement !== null && !audioElement.paused;
     sendResponse({ playing: playing });
@@ -76,3 +102,90 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // Offscreen audio player initialized (debug omitted)
+
+// ============================================
+// TAB CAPTURE ANALYSIS
+// ============================================
+
+// Everything visible in the captured tab (canvas, WebGL, CSS effects, cross-origin video) is
+// analyzed by the same FlashDetector as page videos; hazards go back to the tab's content script
+
+const CAPTURE_REPORT_INTERVAL = 500; // Report an ongoing hazard at most every 500ms
+
+let capture = null; // { tabId, stream, video, detector, lastReport }
+let captureSettings = null; // Detector settings from the background worker (offscreen documents can't read storage)
+
+/**
+ * Start analyzing a tab from a tabCapture stream ID
+ */
+async function startCaptureAnalysis(streamId, tabId, settings) {
+  stopCaptureAnalysis();
+  captureSettings = settings;
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId,
+        maxWidth: 1280,
+        maxHeight: 720,
+        maxFrameRate: 30
+      }
+    }
+  });
+
+  const video = document.createElement('video');
+  video.muted = true;
+  video.srcObject = stream;
+  document.body.appendChild(video);
+  await video.play();
+
+  const detector = new FlashDetector(video, null, new Set(), () => true, () => captureSettings);
+  detector.displayVideo = null; // The frame is the whole tab
+  detector.onHazard = (type, flashCount) => reportCaptureHazard(type, flashCount);
+
+  capture = { tabId, stream, video, detector, lastReport: 0 };
+  detector.start();
+
+  // The stream ends when the tab closes or the capture is stopped from Chrome's UI
+  stream.getVideoTracks()[0].addEventListener('ended', () => {
+    stopCaptureAnalysis();
+    chrome.runtime.sendMessage({ action: 'tabCaptureEnded', tabId }).catch(() => {});
+  });
+}
+
+/**
+ * Stop analyzing and release the capture
+ */
+function stopCaptureAnalysis() {
+  if (!capture) return;
+
+  capture.detector.stop();
+  capture.stream.getTracks().forEach(track => track.stop());
+  capture.video.srcObject = null;
+  capture.video.remove();
+  capture = null;
+}
+
+/**
+ * Send a hazard to the background worker, which forwards it to the captured tab
+ */
+function reportCaptureHazard(type, flashCount) {
+  const now = Date.now();
+  if (now - capture.lastReport < CAPTURE_REPORT_INTERVAL) return;
+  capture.lastReport = now;
+
+  const detector = capture.detector;
+  chrome.runtime.sendMessage({
+    action: 'tabCaptureHazard',
+    tabId: capture.tabId,
+    type,
+    flashCount,
+    maxFlashesPerSecond: detector.maxFlashesPerSecond,
+    totalFlashes: detector.totalFlashes,
+    flashArea: detector.maxFlashArea,
+    pattern: type === 'pattern' ? detector.lastPattern : null,
+    classification: detector.lastClassification
+  }).catch(() => {});
+}
@@ -0,0 +1,181 @@
+/**
+ * Halo - Regular Spatial Pattern Analyzer
+ * Based on the ITU-R BT.1702 / Harding guidance on hazardous patterns
+ *
+ * Detection criteria:
+ * - Regular stripes (including checkerboards and concentric rings) with more than 5 light-dark pairs
+ * - High contrast between the light and dark stripes
+ * - Covering a large part of the frame (smaller area when the pattern moves or scrolls)
+ * - Present for several analyzed frames in a row
+ */
+
+class PatternAnalyzer {
+  constructor() {
+    // Detection parameters
+    this.MIN_STRIPE_PAIRS = 6; // More than 5 light-dark pairs
+    this.MIN_CONTRAST = 0.5; // Michelson contrast between light and dark stripes
+    this.MAX_IRREGULARITY = 0.35; // Coefficient of variation of stripe widths (0 = perfectly regular)
+    this.MIN_AREA = 0.25; // Static patterns must cover 25% of the frame
+    this.MIN_MOVING_AREA = 0.1; // Moving or scrolling patterns are more provocative
+    this.PERSIST_FRAMES = 5; // Consecutive analyzed frames before a pattern counts
+    this.SCANLINES = 24; // Scanlines per direction
+    this.SAMPLE_STEP = 2; // Sample every 2nd pixel along a scanline
+
+    // State tracking
+    this.consecutiveFrames = 0;
+    this.prevPhases = null;
+  }
+
+  /**
+   * Relative luminance of the pixel at (x, y)
+   */
+  luminanceAt(data, width, x, y) {
+    const i = (y * width + x) * 4;
+    const table = FrameMetrics.LINEAR_TABLE;
+    return 0.2126 * table[data[i]] + 0.7152 * table[data[i + 1]] + 0.0722 * table[data[i + 2]];
+  }
+
+  /**
+   * Measure the stripes along one scanline
+   * Returns null when the line has no regular high-contrast pattern
+   */
+  analyzeLine(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    const contrast = (max + min) > 0 ? (max - min) / (max + min) : 0;
+    if (contrast < this.MIN_CONTRAST) {
+      return null;
+    }
+
+    // Split the line into light and dark runs, with hysteresis so noise doesn't add runs
+    const midpoint = (max + min) / 2;
+    const hysteresis = (max - min) * 0.1;
+    const runs = []; // Start index of every run
+    let isLight = null;
+
+    for (let i = 0; i < values.length; i++) {
+      if (isLight !== true && values[i] > midpoint + hysteresis) {
+        isLight = true;
+        runs.push(i);
+      } else if (isLight !== false && values[i] < midpoint - hysteresis) {
+        isLight = false;
+        runs.push(i);
+      }
+    }
+
+    // The first and last runs are cut off by the frame edge, so only count complete runs
+    const widths = [];
+    for (let i = 1; i < runs.length - 1; i++) {
+      widths.push(runs[i + 1] - runs[i]);
+    }
+
+    const pairs = Math.floor(widths.length / 2);
+    if (pairs < this.MIN_STRIPE_PAIRS) {
+      return null;
+    }
+
+    const meanWidth = widths.reduce((sum, width) => sum + width, 0) / widths.length;
+    const variance = widths.reduce((sum, width) => sum + (width - meanWidth) ** 2, 0) / widths.length;
+    if (Math.sqrt(variance) / meanWidth > this.MAX_IRREGULARITY) {
+      return null;
+    }
+
+    return {
+      pairs,
+      contrast,
+      span: (runs[runs.length - 1] - runs[1]) / values.length,
+      phase: runs[1] % (meanWidth * 2) // Where the stripes start within one period
+    };
+  }
+
+  /**
+   * Analyze scanlines in one direction
+   * Returns the covered area and the stripes found on each line
+   */
+  analyzeDirection(imageData, horizontal) {
+    const { data, width, height } = imageData;
+    const lineCount = Math.min(this.SCANLINES, horizontal ? height : width);
+    const lineLength = horizontal ? width : height;
+    const lines = [];
+    let coveredArea = 0;
+
+    for (let line = 0; line < lineCount; line++) {
+      const offset = Math.floor((line + 0.5) * (horizontal ? height : width) / lineCount);
+      const values = [];
+
+      for (let position = 0; position < lineLength; position += this.SAMPLE_STEP) {
+        values.push(horizontal
+          ? this.luminanceAt(data, width, position, offset)
+          : this.luminanceAt(data, width, offset, position));
+      }
+
+      const stripes = this.analyzeLine(values);
+      lines.push(stripes);
+      if (stripes) {
+        coveredArea += stripes.span / lineCount;
+      }
+    }
+
+    return { coveredArea, lines };
+  }
+
+  /**
+   * Measure the stripes in a frame
+   * Stateless, so it can run in the frame analysis worker
+   */
+  measure(imageData) {
+    const rows = this.analyzeDirection(imageData, true);
+    const columns = this.analyzeDirection(imageData, false);
+    const lines = rows.lines.concat(columns.lines);
+    const striped = lines.filter(Boolean);
+
+    return {
+      pairs: striped.length > 0 ? Math.max(...striped.map(stripes => stripes.pairs)) : 0,
+      contrast: striped.length > 0 ? Math.max(...striped.map(stripes => stripes.contrast)) : 0,
+      area: Math.max(rows.coveredArea, columns.coveredArea),
+      phases: lines.map(stripes => stripes ? stripes.phase : null)
+    };
+  }
+
+  /**
+   * Decide whether a measured pattern is hazardous, given the frames before it
+   */
+  evaluate(measurement) {
+    const { pairs, contrast, area, phases } = measurement;
+
+    // The pattern moves when the stripes on the same scanline shifted since the last frame
+    const moving = this.prevPhases !== null && phases.some((phase, line) =>
+      phase !== null && this.prevPhases[line] !== null && Math.abs(phase - this.prevPhases[line]) >= 1
+    );
+    this.prevPhases = phases;
+
+    const minArea = moving ? this.MIN_MOVING_AREA : this.MIN_AREA;
+
+    if (pairs > 0 && area >= minArea) {
+      this.consecutiveFrames++;
+    } else {
+      this.consecutiveFrames = 0;
+    }
+
+    return {
+      hazardous: this.consecutiveFrames >= this.PERSIST_FRAMES,
+      pairs,
+      contrast,
+      area,
+      moving
+    };
+  }
+
+  /**
+   * Reset state (used when seeking or resuming after warning)
+   */
+  reset() {
+    this.consecutiveFrames = 0;
+    this.prevPhases = null;
+  }
+}
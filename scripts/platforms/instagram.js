@@ -0,0 +1,29 @@
+/**
+ * Halo - Instagram Adapter
+ * Posts and reels in the feed, on their own page, and in the Reels tab
+ */
+
+PLATFORM_ADAPTERS.push({
+  platform: 'instagram',
+  domains: ['instagram.com'],
+
+  resolve(video) {
+    const pattern = /\/(?:p|reels?)\/([\w-]+)/;
+    const link = findLinkedMatch(video, pattern);
+    const page = window.location.pathname.match(pattern);
+
+    const shortcode = (link && link[1]) || (page && page[1]);
+    if (!shortcode) return null;
+
+    // Carousel posts can hold several videos
+    const post = video.closest('article');
+    const index = post ? getVideoIndex(post, video) : 1;
+    const profile = post && post.querySelector('header a[href^="/"]');
+
+    return {
+      videoId: index > 1 ? `${shortcode}/${index}` : shortcode,
+      author: profile ? profile.getAttribute('href').replace(/\//g, '') || null : null,
+      title: getElementText(post && post.querySelector('h1'))
+    };
+  }
+});
@@ -0,0 +1,76 @@
+/**
+ * Halo - Platform Adapters
+ * Stable identity for each video on a page: which site it's on, its ID there, and who posted it
+ *
+ * One adapter per supported site (scripts/platforms/*.js) registers itself in PLATFORM_ADAPTERS.
+ * An adapter has a platform name, the domains it covers, and resolve(video), which returns
+ * { videoId, author, title, live } or null while the video can't be identified yet.
+ * Other sites fall back to the video's file URL, when it has one.
+ */
+
+const PLATFORM_ADAPTERS = [];
+
+/**
+ * Adapter for a hostname, or null
+ */
+function findPlatformAdapter(hostname) {
+  const host = hostname.toLowerCase();
+  return PLATFORM_ADAPTERS.find(adapter =>
+    adapter.domains.some(domain => host === domain || host.endsWith(`.${domain}`))
+  ) || null;
+}
+
+/**
+ * Identity of a video: { platform, videoId, author, title, live }, or null when it has none
+ * Live streams have an identity but no media timeline, so nothing is remembered for them
+ */
+function resolveVideoIdentity(video) {
+  const adapter = findPlatformAdapter(window.location.hostname);
+  if (adapter) {
+    const identity = adapter.resolve(video);
+    return identity && { platform: adapter.platform, author: null, title: null, live: false, ...identity };
+  }
+
+  // Regular files keep their URL; MediaSource blob: URLs change every visit
+  const src = video.currentSrc || video.src;
+  if (/^https?:/.test(src)) {
+    return { platform: window.location.hostname, videoId: src, author: null, title: document.title || null, live: false };
+  }
+  return null;
+}
+
+/**
+ * Match of pattern against the link that belongs to a video in a feed
+ * Walks up from the video until an ancestor contains a matching link; gives up if that
+ * ancestor links to more than one item, since it's then the feed rather than the item
+ */
+function findLinkedMatch(video, pattern, maxDepth = 12) {
+  let element = video.parentElement;
+
+  for (let depth = 0; element && depth < maxDepth; depth++, element = element.parentElement) {
+    const matches = Array.from(element.querySelectorAll('a[href]'))
+      .map(link => link.getAttribute('href').match(pattern))
+      .filter(Boolean);
+    if (matches.length === 0) continue;
+
+    const ids = new Set(matches.map(match => match[1]));
+    return ids.size === 1 ? matches[0] : null;
+  }
+  return null;
+}
+
+/**
+ * Trimmed text of an element, shortened to maxLength, or null
+ */
+function getElementText(element, maxLength = 200) {
+  const text = element && element.textContent.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * 1-based position of a video among the videos in a post, for posts with several
+ */
+function getVideoIndex(container, video) {
+  return Array.from(container.querySelectorAll('video:not([data-halo-look-ahead])')).indexOf(video) + 1;
+}
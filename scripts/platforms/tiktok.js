@@ -0,0 +1,31 @@
+/**
+ * Halo - TikTok Adapter
+ * Video pages and the For You / Following feeds, where every item has its own player
+ */
+
+PLATFORM_ADAPTERS.push({
+  platform: 'tiktok',
+  domains: ['tiktok.com'],
+
+  resolve(video) {
+    // Feed players are wrapped in an element whose id ends in the video ID
+    const wrapper = video.closest('[id^="xgwrapper-"]');
+    const wrapperId = wrapper && wrapper.id.match(/-(\d{8,})$/);
+
+    const link = findLinkedMatch(video, /\/@([\w.-]+)\/video\/(\d+)/);
+    const page = window.location.pathname.match(/^\/@([\w.-]+)\/video\/(\d+)/);
+
+    const videoId = (wrapperId && wrapperId[1]) || (link && link[2]) || (page && page[2]);
+    if (!videoId) return null;
+
+    const item = video.closest('article, [data-e2e="recommend-list-item-container"]') || document;
+    const author = (link && link[1]) || (page && page[1]) ||
+      getElementText(item.querySelector('[data-e2e="video-author-uniqueid"], [data-e2e="browse-username"]'));
+
+    return {
+      videoId,
+      author,
+      title: getElementText(item.querySelector('[data-e2e="video-desc"], [data-e2e="browse-video-desc"]'))
+    };
+  }
+});
@@ -0,0 +1,37 @@
+/**
+ * Halo - Twitch Adapter
+ * Past broadcasts (VODs), clips, live channels and the embedded player
+ */
+
+PLATFORM_ADAPTERS.push({
+  platform: 'twitch',
+  domains: ['twitch.tv'],
+  PAGES: ['directory', 'search', 'settings', 'subscriptions', 'inventory', 'wallet', 'drops', 'downloads', 'turbo', 'p'], // Top-level paths that aren't channels
+
+  resolve(video) {
+    const { hostname, pathname, search } = window.location;
+    const params = new URLSearchParams(search);
+    const title = getElementText(document.querySelector('[data-a-target="stream-title"]'));
+    const channel = getElementText(document.querySelector('[data-a-target="stream-info-card"] h1, .channel-info-content h1'));
+
+    const vod = pathname.match(/^\/videos\/(\d+)/) || (params.get('video') || '').match(/^v?(\d+)$/);
+    if (vod) {
+      return { videoId: `v${vod[1]}`, author: channel, title };
+    }
+
+    const clip = hostname.startsWith('clips.')
+      ? pathname.match(/^\/(?!embed)([\w-]+)/) || [null, params.get('clip')]
+      : pathname.match(/^\/([\w]+)\/clip\/([\w-]+)/);
+    const clipSlug = clip && clip[clip.length - 1];
+    if (clipSlug) {
+      return { videoId: `clip/${clipSlug}`, author: clip.length > 2 ? clip[1] : channel, title };
+    }
+
+    // Live channels: an identity for the stats, but nothing to remember per timestamp
+    const live = params.get('channel') || (pathname.match(/^\/([\w]+)\/?$/) || [])[1];
+    if (live && !this.PAGES.includes(live.toLowerCase())) {
+      return { videoId: `live/${live.toLowerCase()}`, author: live, title, live: true };
+    }
+    return null;
+  }
+});
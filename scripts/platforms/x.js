@@ -0,0 +1,27 @@
+/**
+ * Halo - X (Twitter) Adapter
+ * Videos in posts, in the timeline or on a post's own page; posts can have up to four
+ */
+
+PLATFORM_ADAPTERS.push({
+  platform: 'x',
+  domains: ['x.com', 'twitter.com'],
+
+  resolve(video) {
+    const post = video.closest('article[data-testid="tweet"], article');
+    if (!post) return null;
+
+    // The post's own link is the one on its timestamp
+    const time = post.querySelector('a[href*="/status/"] time');
+    const href = time ? time.closest('a').getAttribute('href') : window.location.pathname;
+    const status = href.match(/\/([\w]+)\/status\/(\d+)/);
+    if (!status) return null;
+
+    return {
+      videoId: `${status[2]}/video/${getVideoIndex(post, video)}`,
+      author: status[1],
+      title: getElementText(post.querySelector('[data-testid="tweetText"]')),
+      live: Boolean(post.querySelector('[data-testid="liveBadge"]'))
+    };
+  }
+});
@@ -0,0 +1,42 @@
+/**
+ * Halo - YouTube Adapter
+ * Watch pages, Shorts, embeds and the hover previews in feeds
+ */
+
+PLATFORM_ADAPTERS.push({
+  platform: 'youtube',
+  domains: ['youtube.com', 'youtube-nocookie.com'],
+
+  resolve(video) {
+    const videoId = this.getPreviewId(video) || this.getPageId(window.location);
+    if (!videoId) return null;
+
+    const owner = document.querySelector('ytd-watch-metadata ytd-channel-name a, ytd-reel-video-renderer[is-active] ytd-channel-name a');
+    return {
+      videoId,
+      author: getElementText(owner),
+      title: getElementText(document.querySelector('ytd-watch-metadata h1')) || document.title.replace(/ - YouTube$/, '') || null,
+      live: Boolean(video.closest('.ytp-live'))
+    };
+  },
+
+  /**
+   * Video ID from a watch, Shorts or embed URL
+   */
+  getPageId(location) {
+    const shorts = location.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{11})/);
+    if (shorts) return shorts[1];
+    return new URLSearchParams(location.search).get('v');
+  },
+
+  /**
+   * Video ID of an inline preview playing in a feed (its own player, separate from the page's)
+   */
+  getPreviewId(video) {
+    const preview = video.closest('ytd-video-preview, #video-preview');
+    if (!preview) return null;
+
+    const link = preview.querySelector('a[href*="/watch?v="], a[href*="/shorts/"]');
+    return link ? this.getPageId(new URL(link.href)) : null;
+  }
+});
@@ -204,12 +204,45 @@ document.getElementById('rocketBtn').addEventListener('click', () => {
 });
 
 // Load settings from storage
-chrome.storage.sync.get(['enabled', 'autoPause', 'ttsEnabled'], (data) => {
+chrome.storage.sync.get(['enabled', 'autoPause', 'ttsEnabled', 'detectionMode', 'lookAhead', 'responseMode', 'mitigationFilter', 'liveResponseMode', 'liveCooldown', 'responsePolicies', 'warmupGuard', 'sensitivityProfile', 'customSensitivity', 'sites', 'protectAllSites', 'autoSkip'], (data) => {
   // Set toggle state for enable protection
   document.getElementById('enableToggle').checked = data.enabled !== false;
 
   document.getElementById('ttsToggle').checked = data.ttsEnabled !== false;
 
+  document.getElementById('detectionMode').value = data.detectionMode || 'heuristic';
+
+  document.getElementById('lookAheadToggle').checked = data.lookAhead === true;
+
+  document.getElementById('autoSkipToggle').checked = data.autoSkip === true;
+
+  document.getElementById('responseMode').value = data.responseMode || 'pause';
+  document.getElementById('mitigationFilter').value = data.mitigationFilter || 'compress';
+  document.getElementById('mitigationFilter').disabled = (data.responseMode || 'pause') === 'pause';
+  document.getElementById('liveResponseMode').value = data.liveResponseMode || 'mitigate';
+  document.getElementById('liveCooldown').value = data.liveCooldown || 30;
+  document.getElementById('warmupGuard').value = data.warmupGuard || 'dim';
+
+  responsePolicies = (data.responsePolicies || []).map(normalizePolicy).filter(Boolean);
+  renderPolicies();
+
+  const sensitivityProfile = data.sensitivityProfile || 'standard';
+  document.getElementById('sensitivityProfile').value = sensitivityProfile;
+  showSensitivity(getSensitivity({ sensitivityProfile, customSensitivity: data.customSensitivity }), sensitivityProfile === 'custom');
+
+  document.getElementById('protectAllSitesToggle').checked = data.protectAllSites === true;
+  if (data.protectAllSites === true) {
+    // Set on another device (sync storage) or access withdrawn since
+    getGrantedOrigins([ALL_SITES_ORIGIN]).then(granted => {
+      if (granted.length === 0) {
+        document.getElementById('protectAllSitesToggle').checked = false;
+        document.getElementById('siteMessage').textContent = 'Turn on "Protect All Sites" again to give Halo access to every site';
+      }
+    });
+  }
+  sites = data.sites || DEFAULT_SITES;
+  renderSites();
+
   // Auto-pause is always enabled (no toggle in UI)
 
   // Update status display
@@ -245,6 +278,505 @@ document.getElementById('enableToggle').addEventListener('change', (e) => {
   });
 });
 
+// Detection mode selector - content scripts pick up the change from storage
+document.getElementById('detectionMode').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ detectionMode: e.target.value });
+});
+
+// Response mode and mitigation filter - content scripts pick up the change from storage
+document.getElementById('responseMode').addEventListener('change', (e) => {
+  document.getElementById('mitigationFilter').disabled = e.target.value === 'pause';
+  chrome.storage.sync.set({ responseMode: e.target.value });
+});
+
+document.getElementById('mitigationFilter').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ mitigationFilter: e.target.value });
+});
+
+// Live stream response and cooldown - content scripts pick up the change from storage
+document.getElementById('warmupGuard').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ warmupGuard: e.target.value });
+});
+
+document.getElementById('liveResponseMode').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ liveResponseMode: e.target.value });
+});
+
+document.getElementById('liveCooldown').addEventListener('change', (e) => {
+  const liveCooldown = Math.min(Math.max(Math.round(Number(e.target.value)) || 30, 5), 300);
+  e.target.value = liveCooldown; // Show the value clamped to its limits
+  chrome.storage.sync.set({ liveCooldown });
+});
+
+// Look-ahead toggle - content scripts pick up the change from storage
+document.getElementById('lookAheadToggle').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ lookAhead: e.target.checked });
+});
+
+// Auto-skip toggle - content scripts pick up the change from storage
+document.getElementById('autoSkipToggle').addEventListener('change', (e) => {
+  chrome.storage.sync.set({ autoSkip: e.target.checked });
+});
+
+// Sensitivity profile - content scripts pick up the change from storage
+document.getElementById('sensitivityProfile').addEventListener('change', (e) => {
+  const sensitivityProfile = e.target.value;
+
+  if (sensitivityProfile === 'custom') {
+    // Start the custom profile from the values shown for the previous one
+    const customSensitivity = readCustomSensitivity();
+    showSensitivity(customSensitivity, true);
+    chrome.storage.sync.set({ sensitivityProfile, customSensitivity });
+  } else {
+    showSensitivity(getSensitivity({ sensitivityProfile }), false);
+    chrome.storage.sync.set({ sensitivityProfile });
+  }
+});
+
+document.querySelectorAll('[data-sensitivity]').forEach(input => {
+  input.addEventListener('change', () => {
+    const customSensitivity = getSensitivity({ sensitivityProfile: 'custom', customSensitivity: readCustomSensitivity() });
+    showSensitivity(customSensitivity, true); // Show the values clamped to their limits
+    chrome.storage.sync.set({ customSensitivity });
+  });
+});
+
+/**
+ * Fill the threshold inputs; they are only editable for the custom profile
+ */
+function showSensitivity(sensitivity, editable) {
+  document.querySelectorAll('[data-sensitivity]').forEach(input => {
+    const key = input.dataset.sensitivity;
+    const { min, max, step } = SENSITIVITY_LIMITS[key];
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = sensitivity[key];
+  });
+  document.getElementById('customSensitivity').style.display = editable ? 'grid' : 'none';
+}
+
+/**
+ * Threshold values currently in the inputs
+ */
+function readCustomSensitivity() {
+  const sensitivity = {};
+  document.querySelectorAll('[data-sensitivity]').forEach(input => {
+    sensitivity[input.dataset.sensitivity] = Number(input.value);
+  });
+  return sensitivity;
+}
+
+// ============================================
+// SITE LIST
+// ============================================
+
+let sites = []; // Site list entries (see sites.js)
+
+// Protect all sites toggle - the background worker re-registers the detector
+// Turning it on is only saved once access to every site is granted
+document.getElementById('protectAllSitesToggle').addEventListener('change', (e) => {
+  const toggle = e.target;
+  if (!toggle.checked) {
+    chrome.storage.sync.set({ protectAllSites: false });
+    return;
+  }
+
+  const refused = () => {
+    toggle.checked = false;
+    document.getElementById('siteMessage').textContent = 'Halo needs access to every site to protect them all';
+  };
+  chrome.permissions.request({ origins: [ALL_SITES_ORIGIN] }).then(granted => {
+    if (granted) {
+      chrome.storage.sync.set({ protectAllSites: true });
+    } else {
+      refused();
+    }
+  }).catch(refused);
+});
+
+// Add a site, or change the mode of one already in the list
+document.getElementById('addSite').addEventListener('click', () => {
+  const input = document.getElementById('siteDomain');
+  const domain = normalizeDomain(input.value);
+  const message = document.getElementById('siteMessage');
+
+  if (!domain) {
+    message.textContent = 'Enter a domain like vimeo.com';
+    return;
+  }
+
+  const mode = document.getElementById('siteMode').value;
+  const existing = sites.find(site => site.domain === domain);
+  if (existing) {
+    existing.mode = mode;
+  } else {
+    sites.push({ domain, mode, sensitivityProfile: null });
+  }
+
+  input.value = '';
+  saveSites();
+
+  if (mode === 'exclude') {
+    message.textContent = `${domain} will be excluded the next time it loads`;
+    return;
+  }
+  requestSiteAccess(domain);
+});
+
+/**
+ * Ask for access to a protected site; the detector can't run on it without
+ */
+function requestSiteAccess(domain) {
+  const message = document.getElementById('siteMessage');
+
+  chrome.permissions.request({ origins: getSiteOrigins(domain) }).then(granted => {
+    message.textContent = granted
+      ? `${domain} will be protected the next time it loads`
+      : `Halo wasn't given access to ${domain}, so it can't protect it yet. Click "Allow" to try again`;
+    renderSites();
+  }).catch(error => {
+    message.textContent = `Couldn't ask for access to ${domain}`;
+  });
+}
+
+document.getElementById('siteDomain').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    document.getElementById('addSite').click();
+  }
+});
+
+/**
+ * Save the site list; the background worker picks up the change from storage
+ */
+function saveSites() {
+  chrome.storage.sync.set({ sites });
+  renderSites();
+}
+
+/**
+ * Show the site list, each entry with its own sensitivity and a remove button
+ */
+function renderSites() {
+  const list = document.getElementById('siteList');
+  list.textContent = '';
+
+  sites.forEach(site => {
+    const row = document.createElement('div');
+    row.className = 'site-row';
+
+    const domain = document.createElement('span');
+    domain.className = 'site-domain';
+    domain.textContent = site.domain;
+    domain.title = site.domain;
+
+    const mode = document.createElement('span');
+    mode.className = 'site-mode';
+    mode.textContent = site.mode === 'protect' ? 'Protected' : 'Excluded';
+
+    row.append(domain, mode);
+
+    // Protected sites Halo has no access to get a button to ask again
+    if (site.mode === 'protect') {
+      const origins = getSiteOrigins(site.domain);
+      getGrantedOrigins(origins).then(granted => {
+        // The default sites come with access to their main hosts
+        const allowed = granted.length === origins.length || getInstalledOrigins(site.domain).length > 0;
+        if (allowed || !mode.isConnected) return;
+
+        const allow = document.createElement('button');
+        allow.className = 'site-allow';
+        allow.textContent = 'Allow';
+        allow.title = `Give Halo access to ${site.domain}`;
+        allow.addEventListener('click', () => requestSiteAccess(site.domain));
+        mode.replaceWith(allow);
+      });
+    }
+
+    // Sensitivity only matters where the detector runs
+    if (site.mode === 'protect') {
+      const sensitivity = document.createElement('select');
+      sensitivity.setAttribute('aria-label', `Sensitivity on ${site.domain}`);
+      [['', 'Default'], ['strict', 'Strict'], ['standard', 'Standard'], ['relaxed', 'Relaxed'], ['custom', 'Custom']]
+        .forEach(([value, label]) => sensitivity.add(new Option(label, value)));
+      sensitivity.value = site.sensitivityProfile || '';
+      sensitivity.addEventListener('change', () => {
+        site.sensitivityProfile = sensitivity.value || null;
+        saveSites();
+      });
+      row.append(sensitivity);
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'site-remove';
+    remove.textContent = '×';
+    remove.title = `Remove ${site.domain}`;
+    remove.addEventListener('click', () => {
+      sites = sites.filter(entry => entry !== site);
+      saveSites();
+    });
+    row.append(remove);
+
+    list.appendChild(row);
+  });
+}
+
+// ============================================
+// RESPONSE RULES AND CAREGIVER LOG
+// ============================================
+
+// Response rules (format in response-policy.js)
+let responsePolicies = [];
+
+// One checkbox per action for the rule being added
+Object.entries(RESPONSE_ACTIONS).forEach(([action, label]) => {
+  const option = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = action;
+  option.append(checkbox, label);
+  document.getElementById('policyActions').appendChild(option);
+});
+
+document.getElementById('addPolicy').addEventListener('click', () => {
+  const message = document.getElementById('policyMessage');
+  const siteInput = document.getElementById('policySite');
+  const site = siteInput.value.trim() ? normalizeDomain(siteInput.value) : null;
+  const actions = Array.from(document.querySelectorAll('#policyActions input:checked'), checkbox => checkbox.value);
+
+  if (siteInput.value.trim() && !site) {
+    message.textContent = 'Enter a domain like twitch.tv, or leave the site empty for every site';
+    return;
+  }
+  if (actions.length === 0) {
+    message.textContent = 'Pick at least one thing to do';
+    return;
+  }
+  if (responsePolicies.length >= RESPONSE_POLICY_LIMIT) {
+    message.textContent = `You can have up to ${RESPONSE_POLICY_LIMIT} rules`;
+    return;
+  }
+
+  const policy = normalizePolicy({
+    hazard: document.getElementById('policyHazard').value,
+    site,
+    stream: document.getElementById('policyStream').value,
+    fullscreen: document.getElementById('policyFullscreen').value,
+    actions
+  });
+  responsePolicies.push(policy);
+
+  siteInput.value = '';
+  document.querySelectorAll('#policyActions input').forEach(checkbox => {
+    checkbox.checked = false;
+  });
+  message.textContent = `Added: ${describePolicy(policy)}`;
+  savePolicies();
+});
+
+/**
+ * Save the response rules; open tabs pick up the change from storage
+ */
+function savePolicies() {
+  chrome.storage.sync.set({ responsePolicies });
+  renderPolicies();
+}
+
+/**
+ * Show the response rules in the order they're checked, each with move up and remove buttons
+ */
+function renderPolicies() {
+  const list = document.getElementById('policyList');
+  list.textContent = '';
+
+  responsePolicies.forEach((policy, index) => {
+    const row = document.createElement('div');
+    row.className = 'site-row';
+
+    const summary = document.createElement('span');
+    summary.className = 'site-domain';
+    summary.textContent = describePolicy(policy);
+    summary.title = summary.textContent;
+    row.append(summary);
+
+    if (index > 0) {
+      const up = document.createElement('button');
+      up.className = 'site-remove';
+      up.textContent = '↑';
+      up.title = 'Check this rule earlier';
+      up.addEventListener('click', () => {
+        responsePolicies.splice(index - 1, 0, responsePolicies.splice(index, 1)[0]);
+        savePolicies();
+      });
+      row.append(up);
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'site-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove this rule';
+    remove.addEventListener('click', () => {
+      responsePolicies = responsePolicies.filter(entry => entry !== policy);
+      savePolicies();
+    });
+    row.append(remove);
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Show the latest caregiver log entries, newest first
+ */
+function renderCaregiverLog(log) {
+  const list = document.getElementById('caregiverLog');
+  list.textContent = '';
+  list.style.display = log.length > 0 ? 'block' : 'none';
+
+  log.slice(-20).reverse().forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'site-row';
+
+    const page = document.createElement('span');
+    page.className = 'site-domain';
+    page.textContent = `${new Date(entry.time).toLocaleString()} · ${entry.site}`;
+    page.title = entry.title || entry.site;
+
+    const hazard = document.createElement('span');
+    hazard.className = 'site-mode';
+    const name = getHazardName(entry.type);
+    hazard.textContent = entry.type === 'pattern' ? name : `${name} ${entry.peak}/s`;
+    const classification = getClassificationName(entry.classification);
+    const actions = entry.actions.map(action => RESPONSE_ACTIONS[action]).join(', ');
+    hazard.title = classification ? `${classification}. ${actions}` : actions;
+
+    row.append(page, hazard);
+    list.appendChild(row);
+  });
+}
+
+chrome.storage.local.get(['caregiverLog'], (data) => {
+  renderCaregiverLog(data.caregiverLog || []);
+});
+
+document.getElementById('clearCaregiverLog').addEventListener('click', () => {
+  chrome.storage.local.remove('caregiverLog', () => {
+    renderCaregiverLog([]);
+    document.getElementById('caregiverLogMessage').textContent = 'Caregiver log cleared';
+  });
+});
+
+// ============================================
+// SEGMENT LIST IMPORT/EXPORT
+// ============================================
+
+// Export the flagged videos as a segment list file (format in segment-list.js)
+document.getElementById('exportSegments').addEventListener('click', () => {
+  const message = document.getElementById('segmentListMessage');
+
+  chrome.runtime.sendMessage({ action: 'exportSegmentList' }, (response) => {
+    if (!response || !response.success) {
+      message.textContent = `Export failed: ${response?.error || 'no response'}`;
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(response.list, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `halo-segments-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    const count = response.list.videos.length;
+    message.textContent = `Exported ${count} flagged ${count === 1 ? 'video' : 'videos'}`;
+  });
+});
+
+// Import opens its own page: the popup closes as soon as a file chooser takes focus
+document.getElementById('importSegments').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
+});
+
+// Protection mode of the active tab: video analysis, tab capture, or not protected
+let captureRunning = false; // Whether the active tab is being captured
+
+async function updateProtectionMode() {
+  const mode = document.getElementById('protectionMode');
+  const button = document.getElementById('tabCaptureBtn');
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  const capture = await chrome.runtime.sendMessage({ action: 'getCaptureState' }).catch(() => null);
+  const status = await chrome.tabs.sendMessage(tab.id, { action: 'getProtectionStatus' }, { frameId: 0 }).catch(() => null);
+
+  captureRunning = Boolean(capture && capture.tabId === tab.id);
+  renderLiveHazardLog(status && status.live ? status.liveHazardLog : []);
+  button.textContent = captureRunning ? 'Stop tab capture' : 'Protect with tab capture';
+
+  if (captureRunning) {
+    mode.textContent = 'Tab capture: analyzing everything shown in this tab';
+  } else if (!status) {
+    mode.textContent = 'Not protected: this site isn\'t in your site list';
+  } else if (status.blocked > 0) {
+    mode.textContent = `Not protected: ${status.blocked === 1 ? 'a video' : `${status.blocked} videos`} on this page can't be analyzed (cross-origin). Use tab capture`;
+  } else if (status.degraded > 0) {
+    mode.textContent = `Protection degraded: ${status.degraded === 1 ? 'a video' : `${status.degraded} videos`} on this page can't be checked often enough to catch fast flashing. Closing other tabs or using tab capture can help`;
+  } else if (status.live) {
+    const count = status.liveHazardLog.length;
+    mode.textContent = `Live stream: ${count} flashing ${count === 1 ? 'episode' : 'episodes'} this session`;
+  } else if (status.videos > 0) {
+    mode.textContent = `Video analysis: monitoring ${status.videos} ${status.videos === 1 ? 'video' : 'videos'}`;
+  } else {
+    mode.textContent = 'Video analysis: no videos on this page yet';
+  }
+}
+
+/**
+ * Show the latest hazard episodes of a live stream, newest first
+ */
+function renderLiveHazardLog(log) {
+  const list = document.getElementById('liveHazardLog');
+  list.textContent = '';
+  list.style.display = log.length > 0 ? 'block' : 'none';
+
+  log.slice(-10).reverse().forEach(episode => {
+    const row = document.createElement('div');
+    row.className = 'site-row';
+
+    const time = document.createElement('span');
+    time.className = 'site-domain';
+    time.textContent = new Date(episode.start).toLocaleTimeString();
+
+    const hazard = document.createElement('span');
+    hazard.className = 'site-mode';
+    const seconds = Math.max(1, Math.round((episode.end - episode.start) / 1000));
+    const name = getHazardName(episode.type);
+    hazard.textContent = episode.type === 'pattern' ? `${name}, ${seconds}s` : `${name} ${episode.peak}/s, ${seconds}s`;
+    hazard.title = getClassificationName(episode.classification) || '';
+
+    row.append(time, hazard);
+    list.appendChild(row);
+  });
+}
+
+document.getElementById('tabCaptureBtn').addEventListener('click', async () => {
+  const mode = document.getElementById('protectionMode');
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  const response = await chrome.runtime.sendMessage(captureRunning
+    ? { action: 'stopTabCapture' }
+    : { action: 'startTabCapture', tabId: tab.id });
+
+  if (!response || !response.success) {
+    mode.textContent = `Tab capture failed: ${response?.error || 'no response'}`;
+    return;
+  }
+  updateProtectionMode();
+});
+
+updateProtectionMode();
+
 // Auto-pause is always enabled (removed toggle from UI)
 
 /**
@@ -293,10 +825,8 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 
 // Reset statistics button
 document.getElementById('resetStats').addEventListener('click', () => {
-
-  chrome.storage.local.clear();
-  chrome.storage.sync.clear();
-  
+  // Only the stats are replaced; settings, the site list, response rules and the caregiver
+  // log live in the same storage areas and are kept
   const resetStats = {
     videosMonitored: 0,
     warningsIssued: 0,
@@ -304,7 +834,8 @@ document.getElementById('resetStats').addEventListener('click', () => {
   };
 
   // Use both sync and local storage to ensure complete reset
-  chrome.storage.local.set({ stats: resetStats }, () => {
+  // statsResetAt lets videos already in the video risk store count again
+  chrome.storage.local.set({ stats: resetStats, statsResetAt: Date.now() }, () => {
     chrome.storage.sync.set({ stats: resetStats }, () => {
       // Update UI immediately
       document.getElementById('videosMonitored').textContent = '0';
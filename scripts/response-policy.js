@@ -0,0 +1,151 @@
+/**
+ * Halo - Response Policies
+ * What Halo does about a hazard, by hazard type and context, and what hazards are called;
+ * shared by the content scripts, the popup and the background worker
+ *
+ * settings.responsePolicies is a list of rules checked from the top, and the first one that
+ * matches the hazard decides. Hazards no rule matches get the response mode (the live
+ * response mode in live streams), so with no rules Halo responds the way it always has.
+ *
+ * Rule: { hazard, site, stream, fullscreen, actions }
+ * - hazard: 'any', 'general', 'red' or 'pattern'
+ * - site: a domain (its subdomains included), or null for every site
+ * - stream: 'any', 'vod' or 'live'
+ * - fullscreen: 'any', 'yes' or 'no'
+ * - actions: one or more keys of RESPONSE_ACTIONS
+ */
+
+const RESPONSE_ACTIONS = {
+  pause: 'Pause and warn',
+  mute: 'Mute',
+  mitigate: 'Reduce flashing',
+  skip: 'Skip the flashing', // Reduces the flashing instead where there's nothing to seek (live streams, tab capture)
+  warn: 'Notify only',
+  'close-tab': 'Close the tab',
+  log: 'Caregiver log'
+};
+const RESPONSE_HAZARDS = ['any', 'general', 'red', 'pattern'];
+const RESPONSE_STREAMS = ['any', 'vod', 'live'];
+const RESPONSE_FULLSCREEN = ['any', 'yes', 'no'];
+const RESPONSE_POLICY_LIMIT = 30; // Rules kept (they're stored in sync storage)
+const CAREGIVER_LOG_SIZE = 500; // Caregiver log entries kept
+
+// Names of hazard types, and of hazard classifications (see FlashDetector.classifyHazard)
+const HAZARD_NAMES = { general: 'Flashing', red: 'Red flashing', pattern: 'Striped pattern' };
+const CLASSIFICATION_NAMES = { strobe: 'Strobing', 'camera-flash': 'Camera flashes', 'scene-cuts': 'Rapid scene cuts' };
+
+// Actions of each response mode, for hazards no rule matches
+const RESPONSE_MODE_ACTIONS = {
+  pause: ['pause'],
+  mitigate: ['mitigate'],
+  'mitigate-notify': ['mitigate', 'warn']
+};
+
+/**
+ * Short name of a hazard type, e.g. "Red flashing"
+ */
+function getHazardName(type) {
+  return HAZARD_NAMES[type] || HAZARD_NAMES.general;
+}
+
+/**
+ * Name of a hazard classification, e.g. "Camera flashes", or null when there's none
+ */
+function getClassificationName(classification) {
+  return CLASSIFICATION_NAMES[classification] || null;
+}
+
+/**
+ * Actions for a hazard, as { actions, rule }; rule is null when the response mode applied
+ * context is { type, hostname, live, fullscreen }
+ */
+function getResponseActions(settings, context) {
+  const rule = (settings.responsePolicies || [])
+    .map(normalizePolicy)
+    .find(policy => policy && policyMatches(policy, context)) || null;
+  if (rule) {
+    return { actions: rule.actions, rule };
+  }
+
+  const mode = context.live ? settings.liveResponseMode : settings.responseMode;
+  return { actions: RESPONSE_MODE_ACTIONS[mode] || RESPONSE_MODE_ACTIONS.pause, rule: null };
+}
+
+/**
+ * Whether a rule covers a hazard in this context
+ */
+function policyMatches(policy, context) {
+  if (policy.hazard !== 'any' && policy.hazard !== context.type) return false;
+  if (policy.stream !== 'any' && policy.stream !== (context.live ? 'live' : 'vod')) return false;
+  if (policy.fullscreen !== 'any' && policy.fullscreen !== (context.fullscreen ? 'yes' : 'no')) return false;
+  if (!policy.site) return true;
+
+  const host = context.hostname.toLowerCase();
+  return host === policy.site || host.endsWith(`.${policy.site}`);
+}
+
+/**
+ * A rule with unknown values replaced by 'any' and unknown actions dropped, or null
+ * when it has no actions left
+ */
+function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.actions)) return null;
+
+  const actions = Object.keys(RESPONSE_ACTIONS).filter(action => policy.actions.includes(action));
+  if (actions.length === 0) return null;
+
+  return {
+    hazard: RESPONSE_HAZARDS.includes(policy.hazard) ? policy.hazard : 'any',
+    site: typeof policy.site === 'string' && policy.site ? policy.site.toLowerCase() : null,
+    stream: RESPONSE_STREAMS.includes(policy.stream) ? policy.stream : 'any',
+    fullscreen: RESPONSE_FULLSCREEN.includes(policy.fullscreen) ? policy.fullscreen : 'any',
+    actions
+  };
+}
+
+/**
+ * One-line summary of a rule, e.g. "Red flashing, live, on twitch.tv: Mute, Reduce flashing"
+ */
+function describePolicy(policy) {
+  const conditions = [policy.hazard === 'any' ? 'Any hazard' : getHazardName(policy.hazard)];
+  if (policy.stream !== 'any') {
+    conditions.push(policy.stream === 'live' ? 'live' : 'not live');
+  }
+  if (policy.fullscreen !== 'any') {
+    conditions.push(policy.fullscreen === 'yes' ? 'fullscreen' : 'not fullscreen');
+  }
+  if (policy.site) {
+    conditions.push(`on ${policy.site}`);
+  }
+  return `${conditions.join(', ')}: ${policy.actions.map(action => RESPONSE_ACTIONS[action]).join(', ')}`;
+}
+
+/**
+ * Add an entry to the caregiver log, kept by the background worker
+ * event is { type, peak, live, actions }; the time and page are added here
+ */
+function logCaregiverEvent(event) {
+  try {
+    chrome.runtime.sendMessage({
+      action: 'logCaregiverEvent',
+      event: { ...event, time: Date.now(), site: window.location.hostname, title: document.title }
+    }).then(response => {
+    }).catch(error => {
+    });
+  } catch (error) {
+  }
+}
+
+/**
+ * Ask the background worker to close the tab this page is in
+ */
+function requestTabClose() {
+  try {
+    chrome.runtime.sendMessage({
+      action: 'closeHazardTab'
+    }).then(response => {
+    }).catch(error => {
+    });
+  } catch (error) {
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Halo - Video Risk Store
+ * Remembers what was found in each video, keyed by platform and video ID, in IndexedDB
+ *
+ * Lives in the background worker so every site shares one database (a content script's
+ * IndexedDB would belong to the page). Records expire after MAX_AGE_DAYS without being
+ * analyzed again, and the least recently analyzed ones are dropped past MAX_RECORDS.
+ *
+ * Record: { key, platform, videoId, author, title, ranges: [{ start, end, type, peak }], peak, type, lastAnalyzed, lastSeen }
+ * platform and videoId come from the platform adapters (see platforms/platforms.js).
+ * lastSeen, author and title are only set once the video was actually watched (imported records don't have them).
+ */
+
+class VideoRiskStore {
+  constructor() {
+    this.DB_NAME = 'halo';
+    this.DB_VERSION = 1;
+    this.STORE_NAME = 'videos';
+    this.MAX_RECORDS = 2000; // Keep at most this many videos
+    this.MAX_AGE_DAYS = 90; // Forget videos not analyzed for this long
+    this.MERGE_GAP = 1; // Flagged ranges less than 1s apart become one
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+          store.createIndex('lastAnalyzed', 'lastAnalyzed');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn(store) in a transaction; resolves with what fn returns once the transaction completes
+   * If fn throws or rejects, the transaction is aborted and the promise rejects with its error
+   */
+  async transaction(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE_NAME, mode);
+      let result;
+      let failure = null;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(failure || tx.error);
+      tx.onabort = () => reject(failure || tx.error);
+      new Promise(run => run(fn(tx.objectStore(this.STORE_NAME)))).then(value => {
+        result = value;
+      }).catch(error => {
+        failure = error;
+        try {
+          tx.abort();
+        } catch (abortError) {
+          // The transaction already finished
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve an IDBRequest
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Primary key of a video's record
+   */
+  static getKey(platform, videoId) {
+    return `${platform}:${videoId}`;
+  }
+
+  /**
+   * Mark a video as analyzed now, creating its record the first time
+   * details is { author, title } as the page shows them now
+   * Resolves to { record, previous } where previous is the record before this visit (null if new)
+   */
+  async touch(platform, videoId, details = {}) {
+    const key = VideoRiskStore.getKey(platform, videoId);
+
+    const result = await this.transaction('readwrite', async store => {
+      const previous = await VideoRiskStore.request(store.get(key)) || null;
+      const { author = null, title = null } = details;
+      const record = previous
+        ? { ...previous, author: author || previous.author || null, title: title || previous.title || null, lastAnalyzed: Date.now(), lastSeen: Date.now() }
+        : { key, platform, videoId, author, title, ranges: [], peak: 0, type: null, lastAnalyzed: Date.now(), lastSeen: Date.now() };
+      store.put(record);
+      return { record, previous };
+    });
+
+    if (!result.previous) {
+      this.prune();
+    }
+    return result;
+  }
+
+  /**
+   * Add a flagged time range (media seconds) to a video, merging it with nearby ranges of the same type
+   */
+  recordHazard(platform, videoId, hazard) {
+    return this.mergeRanges(platform, videoId, [hazard]);
+  }
+
+  /**
+   * Add flagged time ranges to a video, creating its record if needed
+   */
+  async mergeRanges(platform, videoId, hazards) {
+    const key = VideoRiskStore.getKey(platform, videoId);
+
+    const result = await this.transaction('readwrite', async store => {
+      const previous = await VideoRiskStore.request(store.get(key)) || null;
+      const record = previous || { key, platform, videoId, ranges: [], peak: 0, type: null };
+
+      hazards.forEach(hazard => this.mergeRange(record, hazard));
+      record.lastAnalyzed = Date.now();
+      store.put(record);
+      return { record, previous };
+    });
+
+    if (!result.previous) {
+      this.prune();
+    }
+    return result.record;
+  }
+
+  /**
+   * Merge one range into a record, keeping the record's peak and type current
+   */
+  mergeRange(record, hazard) {
+    const existing = record.ranges.find(range =>
+      range.type === hazard.type &&
+      hazard.start <= range.end + this.MERGE_GAP &&
+      hazard.end >= range.start - this.MERGE_GAP
+    );
+
+    if (existing) {
+      existing.start = Math.min(existing.start, hazard.start);
+      existing.end = Math.max(existing.end, hazard.end);
+      existing.peak = Math.max(existing.peak, hazard.peak);
+    } else {
+      record.ranges.push({ start: hazard.start, end: hazard.end, type: hazard.type, peak: hazard.peak });
+      record.ranges.sort((a, b) => a.start - b.start);
+    }
+
+    if (hazard.peak >= record.peak) {
+      record.peak = hazard.peak;
+      record.type = hazard.type;
+    }
+  }
+
+  /**
+   * Every record in the store
+   */
+  getAll() {
+    return this.transaction('readonly', store => VideoRiskStore.request(store.getAll()));
+  }
+
+  /**
+   * Drop expired records, then the least recently analyzed ones past MAX_RECORDS
+   */
+  async prune() {
+    try {
+      const expiry = Date.now() - this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+      await this.transaction('readwrite', async store => {
+        let excess = await VideoRiskStore.request(store.count()) - this.MAX_RECORDS;
+
+        // Oldest first, so expired records come before the ones kept
+        const request = store.index('lastAnalyzed').openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (cursor.value.lastAnalyzed < expiry || excess > 0) {
+            cursor.delete();
+            excess--;
+            cursor.continue();
+          }
+        };
+      });
+    } catch (error) {
+      console.error('[Halo] Error pruning video risk store:', error);
+    }
+  }
+}
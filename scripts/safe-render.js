@@ -0,0 +1,124 @@
+/**
+ * Halo - Safe Render
+ * Covers the video with a canvas that shows its frames through a temporal low-pass filter
+ *
+ * Each frame is blended over the previous output (an exponential moving average), so
+ * brightness swings faster than the cutoff are smoothed out while slower motion stays
+ * readable. The video keeps playing underneath, which keeps its frames and controls working.
+ */
+
+class SafeRenderer {
+  constructor(video) {
+    this.video = video;
+
+    // Rendering parameters
+    this.HOLD_TIME = 2000; // Keep rendering this many ms after the last detected flash
+    this.CUTOFF_FREQUENCY = 1; // Hz; flashing at 3 Hz is cut to about a third of its contrast
+
+    // State tracking
+    this.active = false;
+    this.held = false; // Covering for the whole of playback (see hold), not just after a flash
+    this.releaseTimer = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.lastRenderTime = null; // Wall-clock time of the last blended frame
+    this.resizeObserver = null;
+  }
+
+  /**
+   * Cover the video (or keep covering it); it is released after holdTime ms without another call
+   */
+  engage(holdTime = this.HOLD_TIME) {
+    if (!this.active && this.video.parentNode) {
+      this.createCanvas();
+      this.active = true;
+    }
+
+    if (this.held) return;
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = setTimeout(() => this.release(), holdTime);
+  }
+
+  /**
+   * Cover the video until release(), so flashing is smoothed from its first frame
+   */
+  hold() {
+    this.engage();
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
+    this.held = this.active;
+  }
+
+  /**
+   * Remove the canvas and show the video again
+   */
+  release() {
+    this.held = false;
+    if (!this.active) return;
+
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
+    this.active = false;
+
+    this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+    this.canvas.remove();
+    this.canvas = null;
+    this.ctx = null;
+    this.lastRenderTime = null;
+  }
+
+  /**
+   * Insert the canvas next to the video so the player's own controls stay above it
+   */
+  createCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'halo-safe-render';
+    canvas.setAttribute('aria-hidden', 'true');
+    canvas.style.objectFit = getComputedStyle(this.video).objectFit || 'contain';
+
+    this.video.after(canvas);
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d', { alpha: false });
+
+    this.resizeObserver = new ResizeObserver(() => this.position());
+    this.resizeObserver.observe(this.video);
+    this.position();
+  }
+
+  /**
+   * Match the canvas to the video's box (both share the same offset parent)
+   */
+  position() {
+    Object.assign(this.canvas.style, {
+      left: `${this.video.offsetLeft}px`,
+      top: `${this.video.offsetTop}px`,
+      width: `${this.video.offsetWidth}px`,
+      height: `${this.video.offsetHeight}px`
+    });
+  }
+
+  /**
+   * Blend one video frame into the output
+   * now is the frame's presentation time in ms, so smoothing follows real time at any frame rate
+   */
+  draw(frame, now) {
+    if (!this.active) return;
+
+    // Canvas size follows the video's resolution; resizing clears it, so start over
+    if (this.canvas.width !== frame.width || this.canvas.height !== frame.height) {
+      this.canvas.width = frame.width;
+      this.canvas.height = frame.height;
+      this.lastRenderTime = null;
+    }
+
+    // First-order low-pass: alpha = dt / (RC + dt)
+    const timeConstant = 1000 / (2 * Math.PI * this.CUTOFF_FREQUENCY);
+    const elapsed = this.lastRenderTime === null ? Infinity : Math.max(now - this.lastRenderTime, 0);
+    const alpha = elapsed === Infinity ? 1 : elapsed / (timeConstant + elapsed);
+    this.lastRenderTime = now;
+
+    this.ctx.globalAlpha = alpha;
+    this.ctx.drawImage(frame, 0, 0);
+  }
+}
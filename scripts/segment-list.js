@@ -0,0 +1,149 @@
+/**
+ * Halo - Segment Lists
+ * Shareable lists of flagged videos, for swapping known-hazardous timestamps without a server
+ *
+ * Format (version 1):
+ * {
+ *   "format": "halo-segment-list",
+ *   "version": 1,
+ *   "exportedAt": "2025-11-08T12:00:00.000Z",
+ *   "detector": { "version": "1.0.0", "detectionMode": "heuristic", "sensitivity": { ...thresholds } },
+ *   "videos": [
+ *     { "platform": "youtube", "videoId": "abc123",
+ *       "segments": [{ "start": 12.5, "end": 15, "type": "general", "peak": 5 }] }
+ *   ]
+ * }
+ *
+ * start and end are media seconds; type is 'general', 'red' or 'pattern'; peak is flashes per second (0 for patterns).
+ * Lists never include when a video was watched.
+ */
+
+const SEGMENT_LIST_FORMAT = 'halo-segment-list';
+const SEGMENT_LIST_VERSION = 1;
+const SEGMENT_LIST_LIMITS = {
+  videos: 2000, // Same as the video risk store
+  segmentsPerVideo: 500,
+  idLength: 2048 // Video IDs on other sites are file URLs
+};
+const SEGMENT_TYPES = ['general', 'red', 'pattern'];
+
+/**
+ * Build a segment list from video risk store records; videos with nothing flagged are left out
+ */
+function buildSegmentList(records, detector) {
+  return {
+    format: SEGMENT_LIST_FORMAT,
+    version: SEGMENT_LIST_VERSION,
+    exportedAt: new Date().toISOString(),
+    detector,
+    videos: records
+      .filter(record => record.ranges.length > 0)
+      .map(record => ({
+        platform: record.platform,
+        videoId: record.videoId,
+        segments: record.ranges.map(({ start, end, type, peak }) => ({ start, end, type, peak }))
+      }))
+  };
+}
+
+/**
+ * Validate a segment list from its JSON text
+ * Returns { videos, errors }: the valid videos, and one message per entry that was left out.
+ * Throws an Error when the file as a whole can't be used.
+ */
+function parseSegmentList(text) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!list || typeof list !== 'object' || list.format !== SEGMENT_LIST_FORMAT) {
+    throw new Error('The file is not a Halo segment list');
+  }
+  if (!Number.isInteger(list.version) || list.version < 1) {
+    throw new Error('The segment list has no valid version');
+  }
+  if (list.version > SEGMENT_LIST_VERSION) {
+    throw new Error(`The segment list is version ${list.version}; this version of Halo reads up to version ${SEGMENT_LIST_VERSION}`);
+  }
+  if (!Array.isArray(list.videos)) {
+    throw new Error('The segment list has no "videos" array');
+  }
+  if (list.videos.length > SEGMENT_LIST_LIMITS.videos) {
+    throw new Error(`The segment list has more than ${SEGMENT_LIST_LIMITS.videos} videos`);
+  }
+
+  const videos = [];
+  const errors = [];
+
+  list.videos.forEach((video, index) => {
+    const path = `videos[${index}]`;
+    const error = validateVideo(video);
+    if (error) {
+      errors.push(`${path}: ${error}`);
+      return;
+    }
+
+    const segments = [];
+    video.segments.forEach((segment, segmentIndex) => {
+      const segmentError = validateSegment(segment);
+      if (segmentError) {
+        errors.push(`${path}.segments[${segmentIndex}]: ${segmentError}`);
+      } else {
+        segments.push({ start: segment.start, end: segment.end, type: segment.type, peak: segment.peak });
+      }
+    });
+
+    if (segments.length > 0) {
+      videos.push({ platform: video.platform, videoId: video.videoId, segments });
+    }
+  });
+
+  return { videos, errors };
+}
+
+/**
+ * Problem with a video entry, or null when it's valid
+ */
+function validateVideo(video) {
+  if (!video || typeof video !== 'object') {
+    return 'not an object';
+  }
+  if (typeof video.platform !== 'string' || !video.platform || video.platform.length > 253) {
+    return 'missing platform';
+  }
+  if (typeof video.videoId !== 'string' || !video.videoId || video.videoId.length > SEGMENT_LIST_LIMITS.idLength) {
+    return 'missing videoId';
+  }
+  if (!Array.isArray(video.segments)) {
+    return 'missing segments array';
+  }
+  if (video.segments.length > SEGMENT_LIST_LIMITS.segmentsPerVideo) {
+    return `more than ${SEGMENT_LIST_LIMITS.segmentsPerVideo} segments`;
+  }
+  return null;
+}
+
+/**
+ * Problem with a segment, or null when it's valid
+ */
+function validateSegment(segment) {
+  if (!segment || typeof segment !== 'object') {
+    return 'not an object';
+  }
+  if (!Number.isFinite(segment.start) || !Number.isFinite(segment.end) || segment.start < 0) {
+    return 'start and end must be times in seconds';
+  }
+  if (segment.end <= segment.start) {
+    return 'end must be after start';
+  }
+  if (!SEGMENT_TYPES.includes(segment.type)) {
+    return `type must be one of ${SEGMENT_TYPES.join(', ')}`;
+  }
+  if (!Number.isFinite(segment.peak) || segment.peak < 0) {
+    return 'peak must be a number of flashes per second';
+  }
+  return null;
+}
@@ -0,0 +1,146 @@
+/**
+ * Halo - Segment Markers
+ * Draws flagged time ranges on the player's seek bar, so viewers can see where the flashing is
+ *
+ * YouTube and Twitch get the markers on their own progress bar. Other players get a thin
+ * timeline laid along the bottom of the video.
+ */
+
+class SegmentMarkers {
+  // Player progress bars to draw on, tried in order; the generic timeline is used otherwise
+  static SEEK_BARS = [
+    { container: '.html5-video-player', bar: '.ytp-progress-bar' }, // YouTube
+    { container: '[data-a-target="video-player"]', bar: '[data-a-target="player-seekbar"]' } // Twitch
+  ];
+
+  constructor(video) {
+    this.video = video;
+
+    // Display parameters
+    this.TIMELINE_HEIGHT = 6; // Pixels, for the generic timeline
+
+    // State tracking
+    this.segments = []; // { start, end, type, peak } in media seconds
+    this.container = null;
+    this.seekBar = null; // Player progress bar the markers are drawn in (null for the generic timeline)
+    this.resizeObserver = null;
+    this.handleDurationChange = () => this.render();
+  }
+
+  /**
+   * Replace the segments shown
+   */
+  setSegments(segments) {
+    this.segments = segments;
+    this.render();
+  }
+
+  /**
+   * Find the player's own progress bar, if it's a player we know
+   */
+  findSeekBar() {
+    for (const { container, bar } of SegmentMarkers.SEEK_BARS) {
+      const player = this.video.closest(container);
+      const seekBar = player && player.querySelector(bar);
+      if (seekBar) {
+        return seekBar;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create the marker container on the player's progress bar or as a generic timeline
+   */
+  attach() {
+    const container = document.createElement('div');
+    container.className = 'halo-markers';
+    this.container = container;
+    this.seekBar = this.findSeekBar();
+
+    if (this.seekBar) {
+      // Markers are positioned against the bar, so it must be a containing block
+      if (getComputedStyle(this.seekBar).position === 'static') {
+        this.seekBar.style.position = 'relative';
+      }
+      this.seekBar.appendChild(container);
+    } else {
+      container.classList.add('halo-markers-timeline');
+      this.video.after(container);
+      this.resizeObserver = new ResizeObserver(() => this.position());
+      this.resizeObserver.observe(this.video);
+      this.position();
+    }
+
+    this.video.addEventListener('durationchange', this.handleDurationChange);
+  }
+
+  /**
+   * Lay the generic timeline along the bottom of the video (both share the same offset parent)
+   */
+  position() {
+    Object.assign(this.container.style, {
+      left: `${this.video.offsetLeft}px`,
+      top: `${this.video.offsetTop + this.video.offsetHeight - this.TIMELINE_HEIGHT}px`,
+      width: `${this.video.offsetWidth}px`,
+      height: `${this.TIMELINE_HEIGHT}px`
+    });
+  }
+
+  /**
+   * Draw one marker per segment; nothing is drawn until the video has a finite duration
+   */
+  render() {
+    const duration = this.video.duration;
+    if (this.segments.length === 0 || !Number.isFinite(duration) || duration <= 0) {
+      if (this.container) {
+        this.container.textContent = '';
+      }
+      return;
+    }
+
+    // The player may have rebuilt its controls since the markers were attached
+    if (this.container && (!this.container.isConnected || (this.seekBar && !this.seekBar.isConnected))) {
+      this.remove();
+    }
+    if (!this.container) {
+      this.attach();
+    }
+
+    this.container.textContent = '';
+    this.segments.forEach(segment => {
+      const marker = document.createElement('div');
+      marker.className = `halo-marker halo-marker-${segment.type}`;
+      marker.style.left = `${(segment.start / duration) * 100}%`;
+      marker.style.width = `${((segment.end - segment.start) / duration) * 100}%`; // min-width keeps short ones visible
+      marker.title = SegmentMarkers.describe(segment);
+      this.container.appendChild(marker);
+    });
+  }
+
+  /**
+   * Tooltip text for a marker
+   */
+  static describe(segment) {
+    const hazard = getHazardName(segment.type);
+    const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    const rate = segment.type === 'pattern' ? '' : `, up to ${segment.peak} flashes/second`;
+    return `${hazard} ${formatTime(segment.start)}–${formatTime(segment.end)}${rate}`;
+  }
+
+  /**
+   * Remove the markers from the page
+   */
+  remove() {
+    if (!this.container) return;
+
+    this.video.removeEventListener('durationchange', this.handleDurationChange);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    this.container.remove();
+    this.container = null;
+    this.seekBar = null;
+  }
+}
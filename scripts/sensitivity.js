@@ -0,0 +1,68 @@
+/**
+ * Halo - Sensitivity Profiles
+ * Detector thresholds for each named profile, shared by the content scripts and the popup
+ *
+ * Stricter profiles count smaller, dimmer or rarer flashes; relaxed ones need more
+ * before warning, for viewers who get too many false positives.
+ */
+
+const SENSITIVITY_PROFILES = {
+  strict: {
+    luminanceThreshold: 0.2,
+    redRatioThreshold: 0.7,
+    flashFrequency: 2,
+    minBrightness: 0.05,
+    warmupFrames: 4,
+    skipFrames: 1
+  },
+  standard: {
+    luminanceThreshold: 0.4,
+    redRatioThreshold: 0.8,
+    flashFrequency: 3,
+    minBrightness: 0.10,
+    warmupFrames: 10,
+    skipFrames: 2
+  },
+  relaxed: {
+    luminanceThreshold: 0.6,
+    redRatioThreshold: 0.85,
+    flashFrequency: 4,
+    minBrightness: 0.15,
+    warmupFrames: 15,
+    skipFrames: 3
+  }
+};
+
+// Allowed range of each threshold in a custom profile
+const SENSITIVITY_LIMITS = {
+  luminanceThreshold: { min: 0.05, max: 1, step: 0.05 },
+  redRatioThreshold: { min: 0.5, max: 0.95, step: 0.05 },
+  flashFrequency: { min: 1, max: 10, step: 1 },
+  minBrightness: { min: 0, max: 0.5, step: 0.01 },
+  warmupFrames: { min: 0, max: 60, step: 1 },
+  skipFrames: { min: 1, max: 6, step: 1 }
+};
+
+/**
+ * Thresholds for the selected profile
+ * Custom values are clamped to SENSITIVITY_LIMITS; missing ones come from the standard profile
+ */
+function getSensitivity(settings) {
+  const profile = SENSITIVITY_PROFILES[settings.sensitivityProfile];
+  if (profile) {
+    return { ...profile };
+  }
+
+  const custom = settings.customSensitivity || {};
+  const sensitivity = { ...SENSITIVITY_PROFILES.standard };
+
+  Object.keys(SENSITIVITY_LIMITS).forEach(key => {
+    const value = Number(custom[key]);
+    if (custom[key] !== undefined && custom[key] !== null && Number.isFinite(value)) {
+      const { min, max } = SENSITIVITY_LIMITS[key];
+      sensitivity[key] = Math.min(Math.max(value, min), max);
+    }
+  });
+
+  return sensitivity;
+}
@@ -0,0 +1,96 @@
+/**
+ * Halo - Site List
+ * Which sites the detector runs on, shared by the background worker, the popup and the detector
+ *
+ * Each entry is { domain, mode, sensitivityProfile }: mode is 'protect' or 'exclude', and
+ * sensitivityProfile (null for the global one) overrides the sensitivity on that site.
+ * An entry also covers the domain's subdomains, and the most specific entry sets the
+ * sensitivity. Excluding a domain always excludes its subdomains too.
+ *
+ * The detector only runs where Halo has host access: the default sites' main hosts are granted
+ * at install (manifest host_permissions), other sites (and "Protect All Sites") are requested
+ * from the popup when they're added.
+ */
+
+const DEFAULT_SITES = [
+  { domain: 'youtube.com', mode: 'protect', sensitivityProfile: null },
+  { domain: 'tiktok.com', mode: 'protect', sensitivityProfile: null },
+  { domain: 'twitter.com', mode: 'protect', sensitivityProfile: null },
+  { domain: 'x.com', mode: 'protect', sensitivityProfile: null },
+  { domain: 'instagram.com', mode: 'protect', sensitivityProfile: null },
+  { domain: 'twitch.tv', mode: 'protect', sensitivityProfile: null }
+];
+
+/**
+ * Turn what the user typed (a domain or a URL) into a bare lowercase domain
+ * Returns null when it isn't a valid domain
+ */
+function normalizeDomain(input) {
+  let domain = String(input).trim().toLowerCase();
+  domain = domain.replace(/^[a-z][a-z0-9+.-]*:\/\//, ''); // Scheme
+  domain = domain.split(/[/?#]/)[0]; // Path, query and fragment
+  domain = domain.replace(/:\d+$/, ''); // Port
+  domain = domain.replace(/^www\./, '');
+
+  return /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * Match patterns covering a domain and its subdomains
+ */
+function getSiteOrigins(domain) {
+  return [`*://${domain}/*`, `*://*.${domain}/*`];
+}
+
+// Match pattern for every site, requested for "Protect All Sites" (optional_host_permissions)
+const ALL_SITES_ORIGIN = '*://*/*';
+
+/**
+ * Match patterns to register the detector with
+ * With protectAllSites the detector runs everywhere except excluded sites
+ */
+function getSiteMatches(sites, protectAllSites) {
+  const protectedSites = sites.filter(site => site.mode === 'protect');
+  const excludedSites = sites.filter(site => site.mode === 'exclude');
+
+  return {
+    matches: protectAllSites ? [ALL_SITES_ORIGIN] : protectedSites.flatMap(site => getSiteOrigins(site.domain)),
+    excludeMatches: excludedSites.flatMap(site => getSiteOrigins(site.domain))
+  };
+}
+
+/**
+ * The match patterns among origins that Halo has host access for
+ */
+async function getGrantedOrigins(origins) {
+  const granted = await Promise.all(origins.map(origin => chrome.permissions.contains({ origins: [origin] })));
+  return origins.filter((origin, i) => granted[i]);
+}
+
+/**
+ * Host permissions from the manifest (granted at install) on a domain or its subdomains,
+ * e.g. https://www.youtube.com/* for youtube.com
+ */
+function getInstalledOrigins(domain) {
+  return chrome.runtime.getManifest().host_permissions.filter(pattern => {
+    const host = pattern.split('://')[1].split('/')[0];
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Most specific entry covering a hostname, or null
+ */
+function findSite(sites, hostname) {
+  const host = hostname.toLowerCase();
+  let match = null;
+
+  sites.forEach(site => {
+    const covers = host === site.domain || host.endsWith(`.${site.domain}`);
+    if (covers && (!match || site.domain.length > match.domain.length)) {
+      match = site;
+    }
+  });
+
+  return match;
+}
@@ -0,0 +1,265 @@
+/**
+ * Halo - Warning Overlay
+ * Accessible modal warning over a video's player (or the whole page for tab capture)
+ *
+ * The overlay lives in a closed shadow root with its own stylesheet (warning-overlay.css),
+ * so site CSS and scripts can't reach it. It's an alertdialog: focus moves into it and is
+ * kept there, the hazard is announced through a live region, P / C / S (and Escape for
+ * pause) act from the keyboard, and focus goes back to the player once it's closed.
+ *
+ * Someone typing (in a chat box, say) keeps their focus, and C / S only work a moment after
+ * the warning opens, so a keystroke meant for something else can't resume the flashing.
+ */
+
+class WarningOverlay {
+  static sheet = null; // Constructable stylesheet shared by every overlay (see getStyleSheet)
+  static nextId = 0; // For unique ARIA ids
+
+  constructor(video, actions) {
+    this.video = video; // null for the page-wide tab capture warning
+    this.actions = actions; // { pause, continue, skip } callbacks; skip is null when the video can't seek
+
+    // Display parameters
+    this.COMPACT_WIDTH = 560; // Players smaller than this get the compact overlay
+    this.COMPACT_HEIGHT = 420;
+    this.SHORTCUT_DELAY = 1000; // ms before C and S work; P, Escape and Enter on Pause work right away
+
+    // State tracking
+    this.host = null; // Light DOM element holding the shadow root
+    this.root = null;
+    this.returnFocus = null; // What had focus before the overlay took it
+    this.openedAt = 0; // performance.now() when the overlay was shown
+    this.id = `halo-warning-${WarningOverlay.nextId++}`;
+  }
+
+  /**
+   * The overlay stylesheet, loaded once and adopted by every shadow root
+   * Overlays created before it has loaded pick it up as soon as it has
+   */
+  static getStyleSheet() {
+    if (!WarningOverlay.sheet) {
+      WarningOverlay.sheet = new CSSStyleSheet();
+      fetch(chrome.runtime.getURL('styles/warning-overlay.css'))
+        .then(response => response.text())
+        .then(css => WarningOverlay.sheet.replace(css))
+        .catch(error => console.error('[Halo] Error loading warning overlay styles:', error));
+    }
+    return WarningOverlay.sheet;
+  }
+
+  /**
+   * Build the host element, its shadow root and the dialog
+   */
+  create(iconUrl) {
+    this.host = document.createElement('halo-warning');
+    this.host.style.setProperty('all', 'initial', 'important');
+    this.host.style.setProperty('position', 'fixed', 'important');
+    this.host.style.setProperty('z-index', '2147483647', 'important');
+
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.root.adoptedStyleSheets = [WarningOverlay.getStyleSheet()];
+
+    const skipButton = this.actions.skip
+      ? `<button class="halo-skip fg-btn fg-btn-danger" aria-keyshortcuts="S">Skip Flashing<kbd>S</kbd></button>`
+      : '';
+
+    this.root.innerHTML = `
+      <div class="halo-overlay">
+        <div class="halo-content" role="alertdialog" aria-modal="true" tabindex="-1"
+             aria-labelledby="${this.id}-title" aria-describedby="${this.id}-message ${this.id}-info">
+          <div class="halo-icon">
+            <img src="${iconUrl}" alt="">
+          </div>
+          <h2 id="${this.id}-title">Photosensitive Warning</h2>
+          <p class="halo-message" id="${this.id}-message"></p>
+          <p class="halo-info" id="${this.id}-info">
+            This video may contain content that could trigger seizures in people with photosensitive epilepsy.
+          </p>
+          <div class="halo-stats"></div>
+          <div class="halo-buttons">
+            <button class="halo-continue fg-btn fg-btn-danger" aria-keyshortcuts="C">
+              Continue Anyway (Not Recommended)<kbd>C</kbd>
+            </button>
+            ${skipButton}
+            <button class="halo-close fg-btn fg-btn-primary" aria-keyshortcuts="P Escape">
+              Pause Video<kbd>P</kbd>
+            </button>
+          </div>
+          <p class="halo-wcag"></p>
+          <div class="halo-sr-only" role="alert" aria-live="assertive"></div>
+        </div>
+      </div>
+    `;
+
+    this.root.querySelector('.halo-continue').addEventListener('click', () => this.act('continue'));
+    this.root.querySelector('.halo-close').addEventListener('click', () => this.act('pause'));
+    if (this.actions.skip) {
+      this.root.querySelector('.halo-skip').addEventListener('click', () => this.act('skip'));
+    }
+    this.root.querySelector('.halo-overlay').addEventListener('keydown', (event) => this.handleKeydown(event));
+  }
+
+  /**
+   * Show the overlay with the hazard's details, or update it if it's already shown
+   * details is { message (HTML), stats (HTML), note, announcement (plain text) }
+   */
+  show(details, host, iconUrl) {
+    const isNew = !this.host;
+    if (isNew) {
+      this.create(iconUrl);
+    }
+
+    this.root.querySelector('.halo-message').innerHTML = details.message;
+    this.root.querySelector('.halo-stats').innerHTML = details.stats;
+    this.root.querySelector('.halo-wcag').textContent = details.note;
+
+    this.attach(host);
+    this.position();
+
+    if (isNew) {
+      this.openedAt = performance.now();
+      this.returnFocus = document.activeElement;
+      // The safe choice has focus, so pressing Enter right away pauses
+      if (!WarningOverlay.isTyping()) {
+        this.root.querySelector('.halo-close').focus({ preventScroll: true });
+      }
+    }
+
+    // Live regions only announce changes made after they're in the page
+    const alert = this.root.querySelector('[role="alert"]');
+    alert.textContent = '';
+    setTimeout(() => {
+      alert.textContent = details.announcement;
+    }, 100);
+  }
+
+  /**
+   * Move the overlay into another element (the fullscreen element, or back to the body)
+   */
+  attach(host) {
+    if (!this.host || this.host.parentElement === host) return;
+
+    // Moving an element drops its focus, so put it back on the same button
+    const focused = document.activeElement === this.host ? this.root.activeElement : null;
+    host.appendChild(this.host);
+    if (focused) {
+      focused.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Lay the overlay over its video; small players get the compact overlay
+   * Videos that aren't laid out (hidden, or in a collapsed feed item) get a page-wide one
+   */
+  position() {
+    const rect = this.video ? this.video.getBoundingClientRect() : null;
+    const anchored = rect && rect.width > 0 && rect.height > 0;
+
+    Object.entries({
+      top: anchored ? `${rect.top}px` : '0',
+      left: anchored ? `${rect.left}px` : '0',
+      width: anchored ? `${rect.width}px` : '100vw',
+      height: anchored ? `${rect.height}px` : '100vh'
+    }).forEach(([property, value]) => this.host.style.setProperty(property, value, 'important'));
+
+    this.root.querySelector('.halo-overlay').classList.toggle('halo-overlay-compact',
+      Boolean(anchored && (rect.width < this.COMPACT_WIDTH || rect.height < this.COMPACT_HEIGHT)));
+  }
+
+  /**
+   * Keyboard control: shortcuts, and Tab kept inside the dialog
+   * Keys are kept from the page too, so player shortcuts don't fire behind the overlay
+   */
+  handleKeydown(event) {
+    event.stopPropagation();
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    const armed = performance.now() - this.openedAt >= this.SHORTCUT_DELAY;
+    if (key === 'escape' || key === 'p') {
+      event.preventDefault();
+      this.act('pause');
+    } else if (key === 'c' && armed) {
+      event.preventDefault();
+      this.act('continue');
+    } else if (key === 's' && this.actions.skip && armed) {
+      event.preventDefault();
+      this.act('skip');
+    } else if (key === 'tab') {
+      this.trapFocus(event);
+    }
+  }
+
+  /**
+   * Whether the viewer is typing: focus is in a text field or editable element
+   * Looks inside open shadow roots, since chat boxes are often web components
+   */
+  static isTyping() {
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' &&
+      !['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'image', 'color', 'file'].includes(element.type);
+  }
+
+  /**
+   * Cycle Tab and Shift+Tab through the dialog's buttons
+   */
+  trapFocus(event) {
+    const buttons = Array.from(this.root.querySelectorAll('button'));
+    const index = buttons.indexOf(this.root.activeElement);
+    const next = event.shiftKey
+      ? (index <= 0 ? buttons.length - 1 : index - 1)
+      : (index + 1) % buttons.length;
+
+    event.preventDefault();
+    buttons[next].focus();
+  }
+
+  /**
+   * Close the overlay and run one of its actions
+   */
+  act(action) {
+    this.remove();
+    this.actions[action]();
+  }
+
+  /**
+   * Take the overlay off the page and give focus back to the player
+   */
+  remove() {
+    if (!this.host) return;
+
+    const hadFocus = document.activeElement === this.host; // Focus inside a closed shadow root shows as the host
+    this.host.remove();
+    this.host = null;
+    this.root = null;
+
+    if (hadFocus) {
+      this.restoreFocus();
+    }
+  }
+
+  /**
+   * Focus what had focus before, or the player the warning was for
+   */
+  restoreFocus() {
+    if (this.returnFocus && this.returnFocus.isConnected && this.returnFocus !== document.body) {
+      this.returnFocus.focus({ preventScroll: true });
+      return;
+    }
+    if (!this.video || !this.video.isConnected) return;
+
+    // Players usually make their container focusable rather than the video
+    const player = this.video.closest('[tabindex]');
+    if (player) {
+      player.focus({ preventScroll: true });
+    } else {
+      this.video.setAttribute('tabindex', '-1');
+      this.video.focus({ preventScroll: true });
+    }
+  }
+}